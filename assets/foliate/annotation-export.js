@@ -0,0 +1,125 @@
+/**
+ * Annotation Export Module
+ *
+ * Renders annotations that have already been resolved against the book as Markdown,
+ * a standalone HTML page or JSON, grouped by chapter in reading order
+ *
+ * Each item: { cfi, text, note, color, style, chapter, pageLabel, link, created }
+ * Items must already be sorted by position; chapters appear in the order they are met
+ */
+
+export const EXPORT_MIME_TYPES = {
+    markdown: 'text/markdown',
+    html: 'text/html',
+    json: 'application/json',
+}
+
+const escapeHTML = (str) => String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+/**
+ * Group items by chapter label, keeping reading order
+ * A chapter that comes back later (e.g. a note after the index) gets a group of its own
+ */
+const groupByChapter = (items) => {
+    const groups = []
+    for (const item of items) {
+        const last = groups[groups.length - 1]
+        if (last && last.chapter === item.chapter) last.items.push(item)
+        else groups.push({ chapter: item.chapter, items: [item] })
+    }
+    return groups
+}
+
+// Keep quoted text from being read as Markdown or HTML: emphasis, code, links and tags
+// anywhere, and headings, lists, quotes and rules at the start of a line
+const escapeMarkdown = (str) => String(str ?? '')
+    .replace(/[\\`*_[\]<>~|]/g, '\\$&')
+    .replace(/^(\s*)([#>+=-])/gm, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])/gm, '$1\\$2')
+
+const formatMeta = (item) => [
+    item.pageLabel ? `p. ${item.pageLabel}` : null,
+    item.style && item.style !== 'highlight' ? item.style : null,
+    item.color ?? null,
+].filter(Boolean).join(' · ')
+
+const toMarkdown = ({ title, author, items }) => {
+    const lines = [`# ${escapeMarkdown(title || 'Annotations')}`]
+    if (author) lines.push('', `*${escapeMarkdown(author)}*`)
+    for (const { chapter, items: group } of groupByChapter(items)) {
+        lines.push('', `## ${escapeMarkdown(chapter || 'Untitled')}`)
+        for (const item of group) {
+            lines.push('')
+            if (item.text) lines.push(...escapeMarkdown(item.text).split('\n').map(line => `> ${line}`))
+            if (item.note) lines.push('', ...escapeMarkdown(item.note).split('\n'))
+            const meta = formatMeta(item)
+            const link = item.link ? `[${item.cfi}](${item.link})` : `\`${item.cfi}\``
+            lines.push('', `<sub>${meta ? `${meta} · ` : ''}${link}</sub>`)
+        }
+    }
+    return lines.join('\n') + '\n'
+}
+
+const toHTML = ({ title, author, items }) => {
+    const body = groupByChapter(items).map(({ chapter, items: group }) => `
+<section>
+<h2>${escapeHTML(chapter || 'Untitled')}</h2>
+${group.map(item => `<article>
+${item.text ? `<blockquote style="border-color: ${escapeHTML(item.color ?? '#ccc')}">${escapeHTML(item.text).replace(/\n/g, '<br>')}</blockquote>` : ''}
+${item.note ? `<p class="note">${escapeHTML(item.note).replace(/\n/g, '<br>')}</p>` : ''}
+<p class="meta">${escapeHTML(formatMeta(item))}${formatMeta(item) ? ' · ' : ''}${item.link
+    ? `<a href="${escapeHTML(item.link)}">${escapeHTML(item.cfi)}</a>`
+    : `<code>${escapeHTML(item.cfi)}</code>`}</p>
+</article>`).join('\n')}
+</section>`).join('\n')
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title || 'Annotations')}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 40em; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+blockquote { margin: 1em 0; padding: .25em 1em; border-inline-start: .3em solid; font-family: Georgia, serif; }
+.note { font-style: italic; }
+.meta { font-size: .8em; opacity: .7; word-break: break-all; }
+article { margin-bottom: 2em; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title || 'Annotations')}</h1>
+${author ? `<p><em>${escapeHTML(author)}</em></p>` : ''}
+${body}
+</body>
+</html>
+`
+}
+
+const toJSON = ({ title, author, items, exportedAt }) => JSON.stringify({
+    title: title ?? null,
+    author: author ?? null,
+    exportedAt,
+    chapters: groupByChapter(items).map(({ chapter, items: group }) => ({
+        label: chapter ?? null,
+        annotations: group,
+    })),
+}, null, 2)
+
+const FORMATTERS = { markdown: toMarkdown, html: toHTML, json: toJSON }
+
+/**
+ * Render resolved annotations
+ * @param {string} format - 'markdown' | 'html' | 'json'
+ * @param {Object} data - { title, author, items, exportedAt }
+ * @returns {string}
+ */
+export const formatAnnotations = (format, data) => {
+    const formatter = FORMATTERS[format]
+    if (!formatter) throw new Error(`Unknown export format: ${format}`)
+    return formatter({ exportedAt: new Date().toISOString(), ...data })
+}
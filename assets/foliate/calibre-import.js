@@ -0,0 +1,120 @@
+/**
+ * Calibre Import Module
+ *
+ * Converts Calibre bookmarks and highlights to the reader's annotation objects
+ * They come either embedded in the EPUB (META-INF/calibre_bookmarks.txt, read with
+ * book.getCalibreBookmarks()) or from the viewer's "Export annotations" JSON file
+ *
+ * Calibre keeps a highlight as a spine index plus start and end CFIs inside that spine item,
+ * and a bookmark as a CFI with its own step layout; epubcfi.js turns both into book CFIs
+ * These CFIs have no ID assertions, so the bridge resolves them and writes canonical ones
+ */
+
+import { fromCalibreHighlight, fromCalibrePos } from './epubcfi.js'
+
+// Calibre's built-in highlight colors (light theme)
+const CALIBRE_COLORS = {
+    yellow: '#ffeb6b',
+    green: '#c0ed72',
+    blue: '#add8ff',
+    red: '#ffb0ca',
+    purple: '#d9b4ff',
+}
+
+const DECORATION_COLOR = '#ff0000'
+
+const CALIBRE_DECORATIONS = {
+    wavy: 'squiggly',
+    strikeout: 'strikethrough',
+}
+
+/**
+ * Map a Calibre highlight style to { style, color }
+ * Built-in styles name a color or a decoration; custom ones carry the CSS properties
+ */
+const convertStyle = (calibreStyle) => {
+    const { kind, type, which } = calibreStyle ?? {}
+    if (type === 'custom') {
+        const line = calibreStyle['text-decoration-line']
+        if (line) {
+            const style = line.includes('line-through') ? 'strikethrough'
+                : calibreStyle['text-decoration-style'] === 'wavy' ? 'squiggly' : 'underline'
+            return { style, color: calibreStyle['text-decoration-color'] ?? DECORATION_COLOR }
+        }
+        return { style: 'highlight', color: calibreStyle['background-color'] ?? CALIBRE_COLORS.yellow }
+    }
+    if (kind === 'decoration') {
+        return { style: CALIBRE_DECORATIONS[which] ?? 'underline', color: DECORATION_COLOR }
+    }
+    return { style: 'highlight', color: CALIBRE_COLORS[which] ?? CALIBRE_COLORS.yellow }
+}
+
+const toTimestamp = (value) => {
+    if (value == null) return null
+    const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value)
+    return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Get the list of Calibre items from any of the shapes Calibre writes
+ * @param {Array|Object|string} data - The embedded bookmark list, a viewer export
+ *   ({ type: 'calibre_highlights', highlights }), a library export ({ annotations }),
+ *   or any of these as a JSON string
+ * @returns {Array}
+ */
+export const parseCalibreAnnotations = (data) => {
+    const json = typeof data === 'string' ? JSON.parse(data) : data
+    if (Array.isArray(json)) return json
+    if (Array.isArray(json?.highlights)) return json.highlights
+    if (Array.isArray(json?.annotations)) return json.annotations
+    throw new Error('Not a Calibre annotations file')
+}
+
+/**
+ * Convert one Calibre item
+ * @returns {Object} { kind: 'highlight' | 'bookmark', annotation } where annotation has
+ *   { value, style, color, note, text, chapter, created, calibreId }; value is the
+ *   unresolved CFI
+ * @throws if the item can't be converted; the message is the reason
+ */
+export const convertCalibreAnnotation = (item) => {
+    if (!item || typeof item !== 'object') throw new Error('not an annotation')
+    if (item.removed) throw new Error('deleted in Calibre')
+
+    if (item.type === 'highlight') {
+        if (item.spine_index == null || !item.start_cfi || !item.end_cfi) {
+            throw new Error('highlight has no position')
+        }
+        return {
+            kind: 'highlight',
+            annotation: {
+                value: fromCalibreHighlight(item),
+                ...convertStyle(item.style),
+                note: item.notes || null,
+                text: item.highlighted_text ?? null,
+                chapter: item.toc_family_titles?.at(-1) ?? null,
+                created: toTimestamp(item.timestamp),
+                calibreId: item.uuid ?? null,
+            },
+        }
+    }
+
+    if (item.type === 'bookmark') {
+        if (item.pos_type !== 'epubcfi' || !item.pos) {
+            throw new Error(`unsupported bookmark position type ${item.pos_type}`)
+        }
+        return {
+            kind: 'bookmark',
+            annotation: {
+                value: fromCalibrePos(item.pos),
+                title: item.title ?? null,
+                text: null,
+                chapter: null,
+                created: toTimestamp(item.timestamp),
+                calibreId: item.uuid ?? null,
+            },
+        }
+    }
+
+    throw new Error(`unsupported type ${item.type}`)
+}
@@ -495,7 +495,13 @@ class MediaOverlay extends EventTarget {
         this.#audio?.pause()
         const section = this.book.sections[sectionIndex]
         const href = section?.id
-        if (!href) return
+        if (!href) {
+            // ran past the last section
+            this.#stop()
+            this.#state = 'stopped'
+            this.dispatchEvent(new CustomEvent('finish'))
+            return
+        }
 
         const { mediaOverlay } = section
         if (!mediaOverlay) return this.start(sectionIndex + 1)
@@ -1,15 +1,27 @@
 // Import view.js to register the foliate-view custom element
 // This MUST be imported before we try to use foliate-view
-import './view.js';
+import { makeBook, NotFoundError, ResponseError, UnsupportedTypeError } from './view.js';
 import { Overlayer } from './overlayer.js';
-import { fromRange, joinIndir } from './epubcfi.js';
+import { FootnoteHandler } from './footnotes.js';
+import { RemoteFile, RangeRequestError } from './remote-file.js';
+import { countSectionPages } from './pagination.js';
+import { ReadingStats } from './reading-stats.js';
+import { getCachedSyntheticPageList, getSyntheticPageList, DEFAULT_CHARS_PER_PAGE } from './synthetic-pages.js';
+import { fromRange, joinIndir, parse as parseCFI, fake as fakeCFI, compare as compareCFI } from './epubcfi.js';
+import { formatAnnotations, EXPORT_MIME_TYPES } from './annotation-export.js';
+import { parseCalibreAnnotations, convertCalibreAnnotation } from './calibre-import.js';
+import { readKOReaderSidecar } from './koreader-sidecar.js';
+import { parseKindleClippings } from './kindle-clippings.js';
+import { TextAnchor, firstMatchAfter, foldText, makeTextQuoteSelector, matchesSelector, reanchorSelector } from './text-anchor.js';
 import {
     normalizeProgressXPointer,
     findTextNodeAtOffset,
     adjustSpineIndex,
     extractSpineIndexFromXPath,
     convertXPathToCFI,
-    convertCFIToXPointer
+    convertCFIToXPointer,
+    convertCFIToXPointers,
+    convertXPointersToCFI,
 } from './xcfi.js';
 
 /**
@@ -43,12 +55,41 @@ window.addEventListener('unhandledrejection', (e) => {
 
 let foliateView = null;
 const container = document.getElementById('foliate-container');
-const pendingAnnotations = new Map();
-const overlayCreatedIndices = new Set(); // Track which sections have had create-overlay fire
+const annotationStore = new Map(); // Annotations of the open book by CFI: value -> { annotation, index }
 let currentTheme = null;
 let attachSelectionListenersGlobal = null;
 let currentSectionInfo = null; // Track current section index and base CFI for CFI calculation
 let animationDuration = 300; // Default animation duration in milliseconds
+let searchGeneration = 0; // Incremented on every search/cancel so stale iterations stop emitting
+let searchFocus = null; // Overlayer currently holding the focused search hit
+let searchTask = null; // Loop of the running search, awaited before the next one clears the hits
+
+// Prefix view.js uses for search result overlay keys
+const SEARCH_PREFIX = 'foliate-search:';
+const SEARCH_FOCUS_KEY = `${SEARCH_PREFIX}focus`;
+const SEARCH_FOCUS_COLOR = '#ffb300';
+
+// Overlay key and color for the word/sentence currently being spoken
+const TTS_HIGHLIGHT_KEY = 'everbound-tts:highlight';
+const TTS_HIGHLIGHT_COLOR = '#4fc3f7';
+// How often to retry moving to the next section while a page turn blocks navigation
+const TTS_SECTION_ATTEMPTS = 20;
+let ttsState = 'stopped'; // 'playing' | 'paused' | 'stopped'
+let ttsGranularity = 'word';
+let currentLayout = {}; // Last layout passed to setLayout(), re-applied when a book opens
+let mediaOverlayFragment = null; // SMIL <par> currently playing: { text, begin, end, sectionIndex }
+const registeredFonts = new Map(); // font id -> { id, family, weight, style, url }
+let pageListCache = { book: null, pages: [], synthetic: false }; // Flattened page list of the open book
+let syntheticPagesController = null; // Aborts a synthetic page list still being computed
+let exactPagination = false; // Whether to count real pages in the background
+let paginationController = null; // Aborts the running pagination pass
+let paginationTimer = null;
+let paginationResult = null; // { book, counts, starts, total } for the current layout
+let readingStats = new ReadingStats(); // Reading session of the open book
+
+// Overlay keys drawn by the bridge itself rather than user annotations
+const isBridgeOverlayKey = (value) =>
+    value.startsWith(SEARCH_PREFIX) || value === TTS_HIGHLIGHT_KEY;
 
 // Initialize the global animation duration variable that paginator.js uses
 // This must be set before paginator.js loads
@@ -103,6 +144,24 @@ const ensureView = async () => {
             }
         }
 
+        // Print page from the book's page-list nav, if it has one
+        const pageList = getPageList(view);
+        const pageItem = detail.pageItem;
+        detail.pageLabel = pageItem?.label ?? null;
+        detail.pageIndex = pageItem ? pageList.findIndex(page => page.id === pageItem.id) : null;
+        detail.pageCount = pageList.length;
+        detail.pageListSynthetic = pageListCache.synthetic;
+
+        // Real page numbers at the current layout, once the background pass has counted them
+        detail.exactPages = getExactPageInfo(view);
+
+        // Time and words read, reading speed and time left
+        try {
+            detail.readingStats = readingStats.update(view, detail);
+        } catch (e) {
+            logToFlutter(`Reading stats error: ${e.message}`);
+        }
+
         window.flutter_inappwebview?.callHandler('relocated', detail);
     });
 
@@ -265,42 +324,13 @@ const ensureView = async () => {
                                         hitTestY = touch.clientY;
                                     }
 
-                                    // Perform hit test
-                                    const hitResult = contentInfo.overlayer.hitTest({ x: hitTestX, y: hitTestY });
-                                    if (hitResult && hitResult.length > 0 && hitResult[0]) {
-                                        const annotationValue = hitResult[0];
-                                        // Skip if it's a search result (starts with SEARCH_PREFIX)
-                                        if (!annotationValue.startsWith('search:')) {
-                                            isAnnotationTap = true;
-                                            logToFlutter(`Touch end: annotation tapped (${annotationValue.substring(0, 30)}...), calling view.showAnnotation`);
-
-                                            // Use foliate-js's showAnnotation method which will:
-                                            // 1. Navigate to the annotation location if needed
-                                            // 2. Get the proper range from the anchor
-                                            // 3. Emit the 'show-annotation' event with all details
-                                            // The existing 'show-annotation' event listener will then call Flutter with correct rect info
-                                            (async () => {
-                                                try {
-                                                    const view = await ensureView();
-                                                    if (view) {
-                                                        await view.showAnnotation({ value: annotationValue });
-                                                        logToFlutter(`Successfully called view.showAnnotation for ${annotationValue.substring(0, 30)}...`);
-                                                    } else {
-                                                        logToFlutter(`Error: view not available for showAnnotation`);
-                                                        // Fallback: call Flutter handler directly with just the value
-                                                        window.flutter_inappwebview?.callHandler('showAnnotation', {
-                                                            value: annotationValue
-                                                        });
-                                                    }
-                                                } catch (err) {
-                                                    logToFlutter(`Error calling view.showAnnotation: ${err.message}`);
-                                                    // Fallback: call Flutter handler directly with just the value
-                                                    window.flutter_inappwebview?.callHandler('showAnnotation', {
-                                                        value: annotationValue
-                                                    });
-                                                }
-                                            })();
-                                        }
+                                    // Every annotation under the finger, innermost first
+                                    const hits = contentInfo.overlayer.hitTestAll({ x: hitTestX, y: hitTestY })
+                                        .filter(([value]) => !isBridgeOverlayKey(value));
+                                    if (hits.length > 0) {
+                                        isAnnotationTap = true;
+                                        logToFlutter(`Touch end: ${hits.length} annotation(s) tapped, top=${hits[0][0].substring(0, 30)}...`);
+                                        sendShowAnnotation(contentInfo.index, hits);
                                     }
                                 }
                             }
@@ -424,23 +454,6 @@ const ensureView = async () => {
             attachSelectionListeners(doc, index);
             logToFlutter(`Selection listeners attached for section ${index}`);
         }
-
-        // Handle pending annotations when section loads
-        if (pendingAnnotations.has(index)) {
-            const annotations = pendingAnnotations.get(index);
-            logToFlutter(`Section ${index} loaded with ${annotations.length} pending annotations, re-adding in 100ms`);
-
-            setTimeout(() => {
-                annotations.forEach((ann) => {
-                    view.addAnnotation(ann).catch((e) => {
-                        // Silently ignore Range errors that happen when doc isn't quite ready
-                        if (!e.message?.includes('Range.setStart')) {
-                            logToFlutter(`Error re-adding annotation: ${e.message}`);
-                        }
-                    });
-                });
-            }, 100);
-        }
     });
 
     // Handle annotation drawing
@@ -453,106 +466,45 @@ const ensureView = async () => {
             return;
         }
 
-        // Skip if range isn't ready
+        // The CFI resolved to something that isn't a range in this document
         if (typeof range === 'function' || !range.startContainer) {
-            logToFlutter(`draw-annotation: range not ready, skipping`);
+            reportAnnotationFailure(annotation, 'CFI did not resolve to a range');
             return;
         }
 
         try {
-            const style = annotation.style || annotation.type;
-            const color = annotation.color;
-
-            if (style === 'highlight') {
-                draw(Overlayer.highlight, { color });
-                logToFlutter(`✅ Drew highlight with color: ${color}`);
-            } else if (['underline', 'squiggly'].includes(style)) {
-                const { defaultView } = doc;
-                const node = range.startContainer;
-                const el = node.nodeType === 1 ? node : node.parentElement;
-                const { writingMode } = defaultView.getComputedStyle(el);
-                draw(Overlayer[style], { writingMode, color, padding: 2 });
-                logToFlutter(`✅ Drew ${style} with color: ${color}`);
-            }
+            drawAnnotationStyle(draw, annotation, doc, range);
         } catch (e) {
-            logToFlutter(`draw-annotation error: ${e.message}`);
+            reportAnnotationFailure(annotation, `draw failed: ${e.message}`);
         }
     });
 
-    // Handle create-overlay event - trigger annotation restoration for initial page load
-    // This is critical for ensuring annotations appear when navigating to a saved location
+    // Draw the stored annotations of a section once, when its overlayer is created
     view.addEventListener('create-overlay', (event) => {
         const { index } = event.detail || {};
-        logToFlutter(`🎯 create-overlay event FIRED for index=${index}`);
-
-        // Mark this section as having its overlay created
-        overlayCreatedIndices.add(index);
-
-        // Add pending annotations for this section
-        if (pendingAnnotations.has(index)) {
-            const annotations = pendingAnnotations.get(index);
-            logToFlutter(`Adding ${annotations.length} pending annotations for index=${index} (create-overlay triggered)`);
-
-            // Add annotations immediately since overlayer is now ready
-            // Add with a small delay to ensure the overlayer is fully initialized
-            setTimeout(() => {
-                annotations.forEach((ann) => {
-                    view.addAnnotation(ann).catch((e) => {
-                        if (!e.message?.includes('Range.setStart')) {
-                            logToFlutter(`Error adding annotation on create-overlay: ${e.message}`);
-                        }
-                    });
-                });
-
-                // Clear pending annotations for this section only after adding
-                pendingAnnotations.delete(index);
-                logToFlutter(`Cleared pending annotations for index=${index}`);
-            }, 5);
-        }
+        drawSectionAnnotations(view, index);
     });
 
     // Handle show-annotation event - fired when user clicks on an annotation
     // This allows us to show annotation details (notes, etc.) to the user
     view.addEventListener('show-annotation', (event) => {
-        const { value } = event.detail || {};
+        const { value, index, range, stack } = event.detail || {};
         logToFlutter(`📌 show-annotation event FIRED for value=${value?.substring(0, 30)}...`);
+        if (!value) return;
+        sendShowAnnotation(index, stack ?? [[value, range]]);
+    });
 
-        // Get rect - getRectFromRange handles iframe conversion internally
-        const pixelRect = getRectFromRange(event.detail.range);
-        const doc = event.detail.range.commonAncestorContainer.ownerDocument;
-        const viewport = doc.defaultView;
-        if (!viewport) {
-            logToFlutter('Warning: No viewport available for annotation');
-            return;
-        }
+    // Intercept footnote/endnote/glossary links and show them in a popup instead of navigating
+    view.addEventListener('link', (event) => {
+        handleFootnoteLink(view, event);
+    });
 
-        let containerRect;
-        if (foliateView) {
-            // Use foliate-view element as container for coordinate conversion
-            containerRect = foliateView.getBoundingClientRect();
-        } else {
-            // Fallback to window viewport if foliate-view not available
-            containerRect = {
-                left: 0,
-                top: 0,
-                width: window.innerWidth,
-                height: window.innerHeight
-            };
-        }
+    // Tell Flutter when back/forward become available, for a "return to where I was" chip
+    view.history.addEventListener('index-change', () => emitHistoryChanged(view));
 
-        // Relay the annotation event to Flutter with raw pixel coordinates and container rect
-        window.flutter_inappwebview?.callHandler('showAnnotation', {
-            value,
-            detail: event.detail,
-            rect: pixelRect,  // Send raw pixel coordinates (window-relative)
-            containerRect: {  // Send container's bounding rect (iframe or body)
-                left: containerRect.left,
-                top: containerRect.top,
-                width: containerRect.width,
-                height: containerRect.height
-            }
-        });
-    });
+    // Links the footnote handler didn't take: report to Flutter instead of window.open()
+    view.addEventListener('link', (event) => handleInternalLink(view, event));
+    view.addEventListener('external-link', handleExternalLink);
 
     foliateView = view;
     return view;
@@ -623,9 +575,17 @@ const attachSelectionListeners = (doc, index) => {
             logToFlutter(`Selection rect: pixel=${pixelRect.left.toFixed(1)},${pixelRect.top.toFixed(1)} size=${pixelRect.width.toFixed(1)}x${pixelRect.height.toFixed(1)}, container=(${containerRect.left.toFixed(1)},${containerRect.top.toFixed(1)})`);
 
             // Send raw pixel coordinates and container position - Flutter will handle coordinate system conversion
+            let selector = null;
+            try {
+                selector = makeTextQuoteSelector(range);
+            } catch (e) {
+                logToFlutter(`Error building text quote selector: ${e.message}`);
+            }
+
             window.flutter_inappwebview?.callHandler('selection', {
                 text,
                 cfi,
+                selector, // Stored with the annotation so it can be found again if the CFI breaks
                 rect: pixelRect,  // Send raw pixel coordinates (window-relative)
                 containerRect: {  // Send container's bounding rect (iframe or body)
                     left: containerRect.left,
@@ -743,6 +703,228 @@ const getRectFromRange = (range) => {
     };
 };
 
+/**
+ * Get the rect of the foliate-view element that Flutter uses for coordinate conversion
+ * Falls back to the window viewport if the view is not available
+ */
+const getContainerRect = () => {
+    const rect = foliateView
+        ? foliateView.getBoundingClientRect()
+        : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    return {
+        left: rect.left,
+        top: rect.top,
+        width: rect.width,
+        height: rect.height
+    };
+};
+
+// ============================================================================
+// FOOTNOTES
+// ============================================================================
+
+const footnoteHandler = new FootnoteHandler();
+let pendingFootnoteAnchor = null; // The <a> whose footnote is being extracted
+
+// Off-screen container the footnote view renders into; it is never visible
+const getFootnoteContainer = () => {
+    let el = document.getElementById('footnote-render-container');
+    if (!el) {
+        el = document.createElement('div');
+        el.id = 'footnote-render-container';
+        Object.assign(el.style, {
+            position: 'fixed',
+            left: '-10000px',
+            top: '0',
+            width: '400px',
+            height: '400px',
+            visibility: 'hidden',
+            pointerEvents: 'none',
+        });
+        document.body.appendChild(el);
+    }
+    return el;
+};
+
+/**
+ * Serialize a footnote body without scripts, event handlers or javascript: URLs
+ */
+const sanitizeFootnoteHTML = (body) => {
+    const clone = body.cloneNode(true);
+    clone.querySelectorAll('script, style, link, meta, iframe, object, embed, form, input, button, textarea, select')
+        .forEach(el => el.remove());
+    for (const el of clone.querySelectorAll('*')) {
+        for (const { name, value } of Array.from(el.attributes)) {
+            const lower = name.toLowerCase();
+            if (lower.startsWith('on') || lower === 'style'
+                || (['href', 'src', 'xlink:href'].includes(lower) && /^\s*javascript:/i.test(value))) {
+                el.removeAttribute(name);
+            }
+        }
+    }
+    return clone.innerHTML.trim();
+};
+
+// The handler opens the book in a second foliate-view; it has to be in the DOM to load
+footnoteHandler.addEventListener('before-render', (event) => {
+    getFootnoteContainer().appendChild(event.detail.view);
+});
+
+footnoteHandler.addEventListener('render', (event) => {
+    const { view, href, type, hidden } = event.detail;
+    try {
+        const doc = view.renderer?.getContents()[0]?.doc;
+        const body = doc?.body;
+        if (!body) throw new Error('footnote document not available');
+
+        const html = sanitizeFootnoteHTML(body);
+        const text = (body.textContent || '').replace(/\s+/g, ' ').trim();
+
+        let rect = null;
+        const a = pendingFootnoteAnchor;
+        if (a?.isConnected) {
+            const range = a.ownerDocument.createRange();
+            range.selectNodeContents(a);
+            rect = getRectFromRange(range);
+        }
+
+        logToFlutter(`Footnote extracted: type=${type}, href=${href}, ${text.length} chars`);
+        window.flutter_inappwebview?.callHandler('footnote', {
+            href,
+            type,
+            hidden,
+            html,
+            text,
+            rect,
+            containerRect: getContainerRect(),
+        });
+    } catch (e) {
+        logToFlutter(`Footnote render error: ${e.message}`);
+    } finally {
+        pendingFootnoteAnchor = null;
+        view.close();
+        view.remove();
+    }
+});
+
+/**
+ * Called for every 'link' event of the main view
+ * FootnoteHandler cancels the event (so the view doesn't navigate) only for footnote references
+ */
+const handleFootnoteLink = (view, event) => {
+    if (event.defaultPrevented) return;
+    const { a, href } = event.detail || {};
+    try {
+        const promise = footnoteHandler.handle(view.book, event);
+        if (!promise) return;
+        pendingFootnoteAnchor = a;
+        logToFlutter(`Footnote link intercepted: ${href}`);
+        promise.catch((e) => {
+            pendingFootnoteAnchor = null;
+            getFootnoteContainer().replaceChildren();
+            logToFlutter(`Footnote error for ${href}: ${e.message}`);
+            window.flutter_inappwebview?.callHandler('footnote', {
+                href,
+                error: e.message,
+            });
+        });
+    } catch (e) {
+        logToFlutter(`handleFootnoteLink error: ${e.message}`);
+    }
+};
+
+// ============================================================================
+// LINKS
+// ============================================================================
+
+let interceptInternalLinks = false; // When true, Flutter decides whether to follow internal links
+
+/**
+ * Describe the link element for Flutter: its text and on-screen rect
+ */
+const describeLink = (a) => {
+    const range = a.ownerDocument.createRange();
+    range.selectNodeContents(a);
+    return {
+        text: a.textContent?.trim() ?? '',
+        rect: getRectFromRange(range),
+        containerRect: getContainerRect(),
+    };
+};
+
+/**
+ * External links never open from the WebView; Flutter asks the user and opens the browser
+ */
+const handleExternalLink = (event) => {
+    event.preventDefault();
+    const { a, href } = event.detail || {};
+    try {
+        logToFlutter(`External link: ${href}`);
+        window.flutter_inappwebview?.callHandler('externalLink', { href, ...describeLink(a) });
+    } catch (e) {
+        logToFlutter(`handleExternalLink error: ${e.message}`);
+    }
+};
+
+/**
+ * Report an internal link with its source and target CFIs, then follow it
+ * Runs after the footnote handler, which cancels the links it shows as popups
+ */
+const handleInternalLink = (view, event) => {
+    if (event.defaultPrevented) return;
+    event.preventDefault();
+    const { a, href } = event.detail || {};
+    (async () => {
+        const payload = {
+            href,
+            ...describeLink(a),
+            sourceCFI: null,
+            targetCFI: null,
+            intercepted: interceptInternalLinks,
+        };
+        try {
+            const source = view.renderer.getContents().find(x => x.doc === a.ownerDocument);
+            if (source) {
+                const range = a.ownerDocument.createRange();
+                range.selectNode(a);
+                payload.sourceCFI = view.getCFI(source.index, range);
+            }
+            const resolved = await view.book.resolveHref(href);
+            if (resolved?.index != null) {
+                const range = await resolveTargetRange(view, resolved);
+                payload.targetCFI = view.getCFI(resolved.index, range ?? undefined);
+                payload.sectionIndex = resolved.index;
+            }
+        } catch (e) {
+            logToFlutter(`handleInternalLink: could not resolve ${href}: ${e.message}`);
+        }
+        window.flutter_inappwebview?.callHandler('internalLink', payload);
+        if (!interceptInternalLinks) await view.goTo(href);
+    })().catch(e => logToFlutter(`handleInternalLink error: ${e.message}`));
+};
+
+/**
+ * Choose whether internal links navigate right away (default) or wait for followLink()
+ */
+const setInterceptInternalLinks = async (enabled) => {
+    interceptInternalLinks = !!enabled;
+    return null;
+};
+
+/**
+ * Follow an internal link reported to the 'internalLink' handler
+ * @param {string} target - The link's href or targetCFI
+ */
+const followLink = async (target) => {
+    const view = await ensureView();
+    try {
+        await view.goTo(target);
+    } catch (e) {
+        logToFlutter(`followLink error: ${e.message}`);
+    }
+    return null;
+};
+
 // ============================================================================
 // PUBLIC API - EXPOSED TO FLUTTER VIA HANDLERS
 // ============================================================================
@@ -756,8 +938,88 @@ const initReader = async () => {
 };
 
 
+/**
+ * MIME types for the formats makeBook() in view.js can open, keyed by file extension
+ * makeBook sniffs CBZ, FB2 and FBZ by name or type, so the File must carry one of them
+ */
+const BOOK_MIME_TYPES = {
+    'epub': 'application/epub+zip',
+    'mobi': 'application/x-mobipocket-ebook',
+    'azw': 'application/vnd.amazon.ebook',
+    'azw3': 'application/vnd.amazon.mobi8-ebook',
+    'kf8': 'application/vnd.amazon.mobi8-ebook',
+    'prc': 'application/x-mobipocket-ebook',
+    'fb2': 'application/x-fictionbook+xml',
+    'fbz': 'application/x-zip-compressed-fb2',
+    'fb2.zip': 'application/x-zip-compressed-fb2',
+    'cbz': 'application/vnd.comicbook+zip',
+    'pdf': 'application/pdf',
+};
+
+/**
+ * Guess a book's MIME type from its file name
+ */
+const guessMimeType = (fileName) => {
+    const name = (fileName || '').toLowerCase();
+    if (name.endsWith('.fb2.zip')) return BOOK_MIME_TYPES['fb2.zip'];
+    const ext = name.includes('.') ? name.split('.').pop() : '';
+    return BOOK_MIME_TYPES[ext] || null;
+};
+
+/**
+ * Build the File handed to view.open() from raw bytes
+ * Without a name or type it stays an EPUB, as before
+ */
+const makeBookFile = (bytes, fileName, mimeType) => {
+    const type = mimeType || guessMimeType(fileName) || BOOK_MIME_TYPES.epub;
+    return new File([bytes], fileName || 'book', { type });
+};
+
+/**
+ * Decode a base64 string into bytes
+ */
+const decodeBase64 = (base64) => {
+    const binaryString = atob(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Build a File-like object that reads the book from a Flutter-served endpoint on demand
+ * Only the zip entries, PDF chunks or MOBI records being rendered are fetched
+ */
+const makeRemoteBookFile = (url, { size, headers, fileName, mimeType }) => {
+    const name = fileName || new URL(url, location.href).pathname.split('/').pop() || 'book';
+    const type = mimeType || guessMimeType(name) || BOOK_MIME_TYPES.epub;
+    return RemoteFile.open(url, { size, headers, name, type });
+};
+
+/**
+ * Report which parser makeBook() picked, using the same checks in the same order
+ */
+const detectBookFormat = async (file, book) => {
+    if (book?.mobi) return book.mobi.headers?.kf8 ? 'kf8' : 'mobi';
+
+    const header = new Uint8Array(await file.slice(0, 5).arrayBuffer());
+    const name = (file.name || '').toLowerCase();
+    const isZip = header[0] === 0x50 && header[1] === 0x4b && header[2] === 0x03 && header[3] === 0x04;
+    if (isZip) {
+        if (file.type === BOOK_MIME_TYPES.cbz || name.endsWith('.cbz')) return 'cbz';
+        if (file.type === BOOK_MIME_TYPES.fbz || name.endsWith('.fbz') || name.endsWith('.fb2.zip')) return 'fbz';
+        return 'epub';
+    }
+    if (String.fromCharCode(...header) === '%PDF-') return 'pdf';
+    return 'fb2';
+};
+
 /**
  * Open a book from blob data
+ * @param {Object} options - { bytesBase64 | url, size, headers, fileName, mimeType, initialLocation, theme }
+ * Either the whole book as base64, or a url Flutter serves it from with HTTP range support
+ * fileName and mimeType let makeBook() recognise CBZ, FB2 and FBZ; EPUB, MOBI/KF8 and PDF are sniffed
  */
 const openBook = async (options) => {
     console.log('[foliate-bridge] openBook called with options:', options);
@@ -765,23 +1027,24 @@ const openBook = async (options) => {
         logToFlutter('openBook called');
         const view = await ensureView();
         logToFlutter('View ensured');
-        const { bytesBase64, initialLocation, progress, theme } = options || {};
-        logToFlutter(`openBook options: bytesBase64=${bytesBase64 ? 'present' : 'missing'}, initialLocation=${initialLocation ? JSON.stringify(initialLocation) : 'null'}`);
-
-        if (!bytesBase64) {
-            logToFlutter('openBook: no bytesBase64 provided');
+        const {
+            bytesBase64, url, size, headers, fileName, mimeType, initialLocation, progress, theme, flow,
+            charsPerPage = DEFAULT_CHARS_PER_PAGE,
+        } = options || {};
+        logToFlutter(`openBook options: bytesBase64=${bytesBase64 ? 'present' : 'missing'}, url=${url ?? 'null'}, fileName=${fileName ?? 'null'}, mimeType=${mimeType ?? 'null'}, initialLocation=${initialLocation ? JSON.stringify(initialLocation) : 'null'}`);
+
+        if (!bytesBase64 && !url) {
+            logToFlutter('openBook: neither bytesBase64 nor url provided');
             return;
         }
 
         try {
-            const binaryString = atob(bytesBase64);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-            const blob = new Blob([bytes], { type: 'application/epub+zip' });
+            // With a url the book is read lazily through range requests; nothing is copied up front
+            const file = url
+                ? await makeRemoteBookFile(url, { size, headers, fileName, mimeType })
+                : makeBookFile(decodeBase64(bytesBase64), fileName, mimeType);
 
-            logToFlutter(`Opening book, blob size: ${blob.size}`);
+            logToFlutter(`Opening book, file size: ${file.size}, name: ${file.name}, type: ${file.type}`);
             if (initialLocation) {
                 logToFlutter(`openBook: initialLocation=${JSON.stringify(initialLocation)}`);
             }
@@ -837,9 +1100,32 @@ const openBook = async (options) => {
                 });
             }
 
-            await view.open(blob);
+            syntheticPagesController?.abort();
+            readingStats = new ReadingStats();
+            annotationStore.clear();
+            reanchored.clear();
+            await view.open(file);
             view.__isOpening = false;
 
+            // Without a print page list, number pages by character count instead
+            if (!getPageList(view).length && !view.isFixedLayout && charsPerPage > 0) {
+                await useSyntheticPageList(view, charsPerPage);
+            }
+            logToFlutter(`Page list: ${getPageList(view).length} pages${pageListCache.synthetic ? ' (synthetic)' : ''}`);
+
+            const format = await detectBookFormat(file, view.book);
+            logToFlutter(`Book format detected: ${format}`);
+
+            // Apply the reader's layout before the first section renders
+            if (flow) currentLayout = { ...currentLayout, flow };
+            if (!view.isFixedLayout) applyLayoutAttributes(view.renderer, currentLayout);
+
+            // Relay media overlay (read-aloud) playback to Flutter if the book has one
+            attachMediaOverlayListeners(view);
+
+            // Count real pages for this book if exact pagination is on
+            schedulePagination();
+
             // Re-apply theme to ensure renderer gets it (setStyles was not available before open)
             if (theme) {
                 logToFlutter(`Re-applying theme after view.open() to ensure renderer styles`);
@@ -1093,11 +1379,19 @@ const openBook = async (options) => {
                 logToFlutter(`TOC processed: ${tocWithLocation.length} items with location data`);
 
                 window.flutter_inappwebview?.callHandler('bookLoaded', {
-                    toc: tocWithLocation
+                    toc: tocWithLocation,
+                    format,
+                    hasMediaOverlay: !!view.mediaOverlay,
+                    pageList: getPageList(view).map(({ label, href }) => ({ label, href })),
+                    pageListSynthetic: pageListCache.synthetic,
                 });
             } else {
                 window.flutter_inappwebview?.callHandler('bookLoaded', {
-                    toc: toc
+                    toc: toc,
+                    format,
+                    hasMediaOverlay: !!view.mediaOverlay,
+                    pageList: getPageList(view).map(({ label, href }) => ({ label, href })),
+                    pageListSynthetic: pageListCache.synthetic,
                 });
             }
         } catch (e) {
@@ -1228,319 +1522,2513 @@ const prevPage = async () => {
 };
 
 /**
- * Add an annotation (highlight, underline, etc.)
+ * Flatten the page-list nav into [{ id, label, href }]
  */
-const addAnnotation = async (annotation) => {
-    const view = await ensureView();
+const flattenPageList = (items) => (items ?? []).flatMap(item => [
+    { id: item.id, label: String(item.label ?? '').trim(), href: item.href },
+    ...flattenPageList(item.subitems),
+]).filter(page => page.href);
 
-    if (!annotation || !annotation.value) {
-        logToFlutter('addAnnotation: invalid annotation');
-        return;
+/**
+ * Print page list of the open book; view.open() numbers the items before the first relocate
+ */
+const getPageList = (view) => {
+    if (pageListCache.book !== view?.book) {
+        pageListCache = {
+            book: view?.book ?? null,
+            pages: flattenPageList(view?.book?.pageList),
+            synthetic: false,
+        };
     }
+    return pageListCache.pages;
+};
 
-    try {
-        logToFlutter(`Adding annotation: style=${annotation.style}, CFI=${annotation.value.substring(0, 30)}...`);
+/**
+ * Hand a synthetic page list to the view so `pageItem` follows it
+ */
+const applySyntheticPageList = async (view, pages) => {
+    await view.setPageList(pages);
+    pageListCache = { book: view.book, pages: flattenPageList(pages), synthetic: true };
+};
 
-        // Ensure 'style' field is set
-        if (!annotation.style && annotation.type) {
-            annotation.style = annotation.type;
-            delete annotation.type;
-        }
+/**
+ * Use the cached synthetic page list right away, or compute it in the background
+ * A computed list is announced to Flutter's 'pageListChanged' handler with the current page
+ */
+const useSyntheticPageList = async (view, charsPerPage) => {
+    const { book } = view;
+    const cached = getCachedSyntheticPageList(book, charsPerPage);
+    if (cached) {
+        await applySyntheticPageList(view, cached);
+        return;
+    }
 
-        // Call with small delay to ensure overlayer is ready
-        const result = await new Promise((resolve) => {
-            setTimeout(async () => {
-                try {
-                    const res = await view.addAnnotation(annotation);
-                    resolve(res);
-                } catch (e) {
-                    logToFlutter(`addAnnotation async error: ${e.message}`);
-                    resolve(null);
-                }
-            }, 0);
+    const controller = new AbortController();
+    syntheticPagesController = controller;
+    getSyntheticPageList(book, { charsPerPage, signal: controller.signal })
+        .then(async pages => {
+            if (controller.signal.aborted || view.book !== book) return;
+            await applySyntheticPageList(view, pages);
+            logToFlutter(`Synthetic page list ready: ${pages.length} pages`);
+
+            const location = view.lastLocation;
+            const pageItem = location
+                ? view.getProgressOf(location.section?.current, location.range)?.pageItem
+                : null;
+            window.flutter_inappwebview?.callHandler('pageListChanged', {
+                pageList: pageListCache.pages.map(({ label, href }) => ({ label, href })),
+                pageListSynthetic: true,
+                pageLabel: pageItem?.label ?? null,
+                pageIndex: pageItem ? pageListCache.pages.findIndex(page => page.id === pageItem.id) : null,
+            });
+        })
+        .catch(e => {
+            if (!controller.signal.aborted) logToFlutter(`Synthetic page list error: ${e.message}`);
+        })
+        .finally(() => {
+            if (syntheticPagesController === controller) syntheticPagesController = null;
         });
+};
 
-        if (result?.index !== undefined) {
-            const index = result.index;
-
-            // Store annotation for tracking
-            if (!pendingAnnotations.has(index)) {
-                pendingAnnotations.set(index, []);
-            }
-            pendingAnnotations.get(index).push(annotation);
-
-            logToFlutter(`Annotation stored for index=${index}, overlay created=${overlayCreatedIndices.has(index)}, total pending=${pendingAnnotations.get(index).length}`);
-
-            // CRITICAL FIX: Check if overlay was already created for this section
-            // If 'create-overlay' already fired for this section, batch process annotations
-            // This handles the case where annotations are restored AFTER the section loads
-            if (overlayCreatedIndices.has(index)) {
-                logToFlutter(`Overlay already exists for index=${index}, will batch add annotations`);
-                // Batch process all pending annotations for this section (similar to create-overlay handler)
-                // Use a debounce mechanism to batch multiple annotations together
-                if (!window._annotationBatchTimers) {
-                    window._annotationBatchTimers = new Map();
-                }
-
-                // Clear existing timer for this index
-                if (window._annotationBatchTimers.has(index)) {
-                    clearTimeout(window._annotationBatchTimers.get(index));
-                }
+/**
+ * Navigate to a print page by its label ("112", "xiv")
+ * @returns {boolean} whether the page was found
+ */
+const goToPage = async (label) => {
+    const view = await ensureView();
+    try {
+        const wanted = String(label ?? '').trim();
+        const pageList = getPageList(view);
+        const page = pageList.find(page => page.label === wanted)
+            ?? pageList.find(page => page.label.toLowerCase() === wanted.toLowerCase());
+        if (!page) {
+            logToFlutter(`goToPage: no page labelled "${wanted}"`);
+            return false;
+        }
+        await view.goTo(page.href);
+        return true;
+    } catch (e) {
+        logToFlutter(`goToPage error: ${e.message}`);
+        return false;
+    }
+};
 
-                // Set a new timer to batch process annotations
-                const timer = setTimeout(() => {
-                    if (pendingAnnotations.has(index)) {
-                        const annotations = pendingAnnotations.get(index);
-                        logToFlutter(`Batch adding ${annotations.length} annotations for index=${index} (overlay already exists)`);
+// ============================================================================
+// NAVIGATION HISTORY
+// ============================================================================
 
-                        annotations.forEach((ann) => {
-                            view.addAnnotation(ann).catch((e) => {
-                                if (!e.message?.includes('Range.setStart')) {
-                                    logToFlutter(`Error adding annotation to existing overlay: ${e.message}`);
-                                }
-                            });
-                        });
+/**
+ * Turn a resolved navigation target into a range in its section
+ * The section is parsed off-screen if it isn't rendered
+ */
+const resolveTargetRange = async (view, { index, anchor }) => {
+    if (typeof anchor !== 'function') return null;
+    const doc = view.renderer?.getContents?.().find(x => x.index === index)?.doc
+        ?? await view.book.sections[index]?.createDocument?.();
+    const target = doc ? anchor(doc) : null;
+    if (target?.startContainer) return target;
+    if (!target?.nodeType) return null;
+    const range = doc.createRange();
+    range.selectNode(target);
+    return range;
+};
 
-                        // Clear pending annotations after adding
-                        pendingAnnotations.delete(index);
-                        window._annotationBatchTimers.delete(index);
-                        logToFlutter(`Cleared pending annotations for index=${index} (batch processed)`);
-                    }
-                }, 100); // 100ms delay to batch multiple annotations together
+let historyGeneration = 0; // Drops descriptions of history states that have since changed
 
-                window._annotationBatchTimers.set(index, timer);
-            } else {
-                // Overlay hasn't been created yet, add a timeout to retry
-                // First retry: 100ms
-                setTimeout(() => {
-                    if (pendingAnnotations.has(index)) {
-                        logToFlutter(`[100ms] Retry: attempting to add annotations for index=${index}`);
-                        const annotations = pendingAnnotations.get(index);
-                        annotations.forEach((ann) => {
-                            view.addAnnotation(ann).catch((e) => {
-                                if (!e.message?.includes('Range.setStart')) {
-                                    logToFlutter(`Error at 100ms retry: ${e.message}`);
-                                }
-                            });
-                        });
-                    }
-                }, 100);
-
-                // Second retry: 300ms (for delayed initial load)
-                setTimeout(() => {
-                    if (pendingAnnotations.has(index)) {
-                        logToFlutter(`[300ms] Retry: attempting to add annotations for index=${index}`);
-                        const annotations = pendingAnnotations.get(index);
-                        annotations.forEach((ann) => {
-                            view.addAnnotation(ann).catch((e) => {
-                                if (!e.message?.includes('Range.setStart')) {
-                                    logToFlutter(`Error at 300ms retry: ${e.message}`);
-                                }
-                            });
-                        });
-                    }
-                }, 300);
-            }
-        }
+/**
+ * Describe a history entry (CFI, href, section index or { fraction }) for display
+ * The section is parsed off-screen if it isn't rendered, so the label is exact
+ * @returns {Object} { cfi, label, pageLabel, sectionIndex } or null
+ */
+const describeHistoryState = async (view, state) => {
+    if (state == null) return null;
+    const resolved = view.resolveNavigation(state);
+    if (resolved?.index == null) return null;
+
+    const { index } = resolved;
+    const range = await resolveTargetRange(view, resolved);
+    const { tocItem, pageItem } = view.getProgressOf(index, range) ?? {};
+    return {
+        cfi: range ? view.getCFI(index, range) : (typeof state === 'string' ? state : null),
+        label: tocItem?.label ?? null,
+        pageLabel: pageItem?.label ?? null,
+        sectionIndex: index,
+    };
+};
 
-        return result;
+/**
+ * Send 'historyChanged' with the can-go flags and where back/forward would lead
+ */
+const emitHistoryChanged = async (view) => {
+    const generation = ++historyGeneration;
+    const { history } = view;
+    const payload = {
+        canGoBack: history.canGoBack,
+        canGoForward: history.canGoForward,
+        back: null,
+        forward: null,
+    };
+    try {
+        if (payload.canGoBack) payload.back = await describeHistoryState(view, history.backState);
+        if (payload.canGoForward) payload.forward = await describeHistoryState(view, history.forwardState);
     } catch (e) {
-        logToFlutter(`addAnnotation error: ${e.message}`);
+        logToFlutter(`historyChanged description error: ${e.message}`);
     }
+    if (generation !== historyGeneration) return;
+    window.flutter_inappwebview?.callHandler('historyChanged', payload);
 };
 
 /**
- * Remove an annotation
+ * Return to the location before the last jump (link, TOC entry, search result)
+ * @returns {boolean} whether there was somewhere to go back to
  */
-const removeAnnotation = async (cfiOrAnnotation) => {
+const historyBack = async () => {
     const view = await ensureView();
     try {
-        // Handle both string CFI and annotation object (from Flutter JSON)
-        // Use addAnnotation with remove=true to delete the annotation
-        let annotation;
-        if (typeof cfiOrAnnotation === 'string') {
-            annotation = { value: cfiOrAnnotation };
-        } else if (cfiOrAnnotation && typeof cfiOrAnnotation === 'object') {
-            // Use the object as-is (should have 'value' property)
-            annotation = cfiOrAnnotation;
-        } else {
-            logToFlutter('removeAnnotation error: Invalid CFI or annotation object');
-            return;
-        }
+        if (!view.history.canGoBack) return false;
+        view.history.back();
+        return true;
+    } catch (e) {
+        logToFlutter(`historyBack error: ${e.message}`);
+        return false;
+    }
+};
 
-        if (!annotation.value) {
-            logToFlutter('removeAnnotation error: Annotation missing value property');
-            return;
-        }
+/**
+ * Redo a jump undone by historyBack()
+ * @returns {boolean} whether there was somewhere to go forward to
+ */
+const historyForward = async () => {
+    const view = await ensureView();
+    try {
+        if (!view.history.canGoForward) return false;
+        view.history.forward();
+        return true;
+    } catch (e) {
+        logToFlutter(`historyForward error: ${e.message}`);
+        return false;
+    }
+};
 
-        // Call addAnnotation with remove=true to delete the annotation
-        await view.addAnnotation(annotation, true);
-        logToFlutter(`Removed annotation: ${String(annotation.value).substring(0, 30)}...`);
+/**
+ * Remove the focus marker drawn by goToSearchResult, if any
+ */
+const clearSearchFocus = () => {
+    try {
+        searchFocus?.remove(SEARCH_FOCUS_KEY);
     } catch (e) {
-        logToFlutter(`removeAnnotation error: ${e.message}`);
+        logToFlutter(`clearSearchFocus error: ${e.message}`);
     }
+    searchFocus = null;
 };
 
 /**
- * Generate theme CSS with runtime-configurable variables
- * Uses CSS variables for easy runtime updates without page reload
+ * Search the book (or a single section when `index` is given)
+ * Results are streamed to Flutter's 'searchResults' handler as they are produced:
+ *   { searchId, type: 'progress', progress }
+ *   { searchId, type: 'result', label, subitems: [{ cfi, excerpt }] }
+ *   { searchId, type: 'done' }
+ * A newer search or cancelSearch() stops the running one.
  */
-const generateThemeCSS = (theme) => {
-    const { backgroundColor, textColor, fontSize } = theme || {};
+const search = async (options) => {
+    const view = await ensureView();
+    const { query, matchCase, matchDiacritics, matchWholeWords, index } = options || {};
+
+    // Cancel whatever search is still running
+    const searchId = ++searchGeneration;
+    clearSearchFocus();
+
+    // The cancelled loop stops at its next result, which view.js has already drawn by then,
+    // so wait for it before clearing, or its last hits would stay on the page
+    const previous = searchTask;
+    let finish;
+    searchTask = new Promise(resolve => finish = resolve);
+    await previous;
+    if (searchId !== searchGeneration) {
+        finish();
+        return null;
+    }
+    if (view.book) view.clearSearch();
 
-    const css = `
-        html {
-            --theme-bg: ${backgroundColor || '#ffffff'};
-            --theme-fg: ${textColor || '#000000'};
-            --theme-font-size: ${fontSize || 18}px;
-            font-size: ${fontSize || 18}px !important;
-        }
-        html, body {
-            background-color: ${backgroundColor || '#ffffff'} !important;
-            color: ${textColor || '#000000'} !important;
-            font-size: ${fontSize || 18}px !important;
-        }
-        /* Ensure all major text elements respect theme */
-        p, span, div, h1, h2, h3, h4, h5, h6, li, a, blockquote, section {
-            color: ${textColor || '#000000'} !important;
-            background-color: inherit;
+    if (!view.book || !query) {
+        logToFlutter('search: no book open or empty query');
+        finish();
+        return null;
+    }
+
+    logToFlutter(`Search ${searchId} started: query="${query}", index=${index ?? 'all'}`);
+    let resultCount = 0;
+    try {
+        const iter = view.search({
+            query,
+            matchCase: !!matchCase,
+            matchDiacritics: !!matchDiacritics,
+            matchWholeWords: !!matchWholeWords,
+            index: index ?? undefined,
+        });
+
+        for await (const result of iter) {
+            if (searchId !== searchGeneration) {
+                logToFlutter(`Search ${searchId} cancelled after ${resultCount} results`);
+                return null;
+            }
+
+            if (result === 'done') {
+                window.flutter_inappwebview?.callHandler('searchResults', {
+                    searchId,
+                    type: 'done',
+                    total: resultCount,
+                });
+            } else if (result.subitems) {
+                // Whole-book search: one entry per section with matches
+                resultCount += result.subitems.length;
+                window.flutter_inappwebview?.callHandler('searchResults', {
+                    searchId,
+                    type: 'result',
+                    label: result.label,
+                    subitems: result.subitems,
+                });
+            } else if (result.cfi) {
+                // Single-section search: matches arrive one at a time
+                resultCount++;
+                const label = view.getProgressOf(index)?.tocItem?.label ?? '';
+                window.flutter_inappwebview?.callHandler('searchResults', {
+                    searchId,
+                    type: 'result',
+                    label,
+                    subitems: [{ cfi: result.cfi, excerpt: result.excerpt }],
+                });
+            } else if (result.progress !== undefined) {
+                window.flutter_inappwebview?.callHandler('searchResults', {
+                    searchId,
+                    type: 'progress',
+                    progress: result.progress,
+                });
+            }
         }
-        body {
-            background-color: ${backgroundColor || '#ffffff'} !important;
+        logToFlutter(`Search ${searchId} finished with ${resultCount} results`);
+    } catch (e) {
+        logToFlutter(`search error: ${e.message}`);
+        if (searchId === searchGeneration) {
+            window.flutter_inappwebview?.callHandler('searchResults', {
+                searchId,
+                type: 'done',
+                total: resultCount,
+                error: e.message,
+            });
         }
-    `;
+    } finally {
+        finish();
+    }
+    return null;
+};
 
-    return css;
+/**
+ * Stop a running search without removing the hits drawn so far
+ */
+const cancelSearch = () => {
+    searchGeneration++;
+    logToFlutter('Search cancelled');
+    return null;
 };
 
 /**
- * Set theme (colors, font size, etc.)
+ * Stop any running search and remove all search hit outlines
  */
-const setTheme = (theme) => {
-    currentTheme = theme;
+const clearSearch = async () => {
+    searchGeneration++;
+    clearSearchFocus();
+    try {
+        const view = await ensureView();
+        if (view.book) view.clearSearch();
+        logToFlutter('Search cleared');
+    } catch (e) {
+        logToFlutter(`clearSearch error: ${e.message}`);
+    }
+    return null;
+};
+
+/**
+ * Navigate to a search hit and mark it as the focused result
+ */
+const goToSearchResult = async (cfi) => {
+    const view = await ensureView();
+    if (!cfi || typeof cfi !== 'string') {
+        logToFlutter('goToSearchResult: invalid CFI');
+        return null;
+    }
 
     try {
-        const { backgroundColor, textColor, fontSize } = theme || {};
+        const resolved = await view.goTo(cfi);
+        if (!resolved) {
+            logToFlutter(`goToSearchResult: could not navigate to ${cfi.substring(0, 50)}`);
+            return null;
+        }
+
+        clearSearchFocus();
+        const contentInfo = view.renderer.getContents()
+            .find(x => x.index === resolved.index && x.overlayer);
+        if (contentInfo) {
+            const range = resolved.anchor(contentInfo.doc);
+            contentInfo.overlayer.add(SEARCH_FOCUS_KEY, range, Overlayer.highlight, {
+                color: SEARCH_FOCUS_COLOR,
+            });
+            searchFocus = contentInfo.overlayer;
+        }
+        logToFlutter(`Navigated to search result: ${cfi.substring(0, 50)}`);
+    } catch (e) {
+        logToFlutter(`goToSearchResult error: ${e.message}`);
+    }
+    return null;
+};
 
-        logToFlutter(`Theme applied: bg=${backgroundColor}, text=${textColor}, size=${fontSize}`);
+// ============================================================================
+// TEXT-TO-SPEECH
+// ============================================================================
 
-        // Apply to document root IMMEDIATELY to style the container
-        if (backgroundColor) {
-            document.documentElement.style.backgroundColor = backgroundColor;
-            document.body.style.backgroundColor = backgroundColor;
+/**
+ * Highlight the range being spoken and keep it on screen
+ * Passed to view.initTTS() and called from TTS.setMark()
+ */
+const ttsHighlight = (range) => {
+    try {
+        const view = foliateView;
+        const contentInfo = view?.renderer?.getContents()
+            .find(x => x.doc === range.startContainer.ownerDocument && x.overlayer);
+        if (contentInfo) {
+            contentInfo.overlayer.add(TTS_HIGHLIGHT_KEY, range, Overlayer.highlight, {
+                color: TTS_HIGHLIGHT_COLOR,
+            });
         }
-        if (textColor) {
-            document.documentElement.style.color = textColor;
-            document.body.style.color = textColor;
+        view?.renderer?.scrollToAnchor(range, false);
+    } catch (e) {
+        logToFlutter(`ttsHighlight error: ${e.message}`);
+    }
+};
+
+/**
+ * Remove the TTS highlight from every loaded section
+ */
+const clearTTSHighlight = () => {
+    for (const { overlayer } of foliateView?.renderer?.getContents?.() ?? []) {
+        overlayer?.remove(TTS_HIGHLIGHT_KEY);
+    }
+};
+
+/**
+ * (Re)create the TTS instance for the section currently displayed
+ */
+const ensureTTS = async (view) => {
+    await view.initTTS(ttsGranularity, ttsHighlight);
+    return view.tts;
+};
+
+/**
+ * Send an SSML block to Flutter's 'ttsSpeak' handler
+ * The native engine reports progress back through ttsSetMark(name)
+ * and asks for the following block with ttsNext() when it is done speaking
+ */
+const emitTTSBlock = (view, ssml) => {
+    const index = view.renderer.getContents()[0]?.index;
+    window.flutter_inappwebview?.callHandler('ttsSpeak', {
+        ssml,
+        sectionIndex: index,
+        granularity: ttsGranularity,
+    });
+};
+
+const emitTTSState = (state, extra = {}) => {
+    ttsState = state;
+    window.flutter_inappwebview?.callHandler('ttsState', { state, ...extra });
+};
+
+/**
+ * Move to an adjacent section and return its TTS instance, or null at the book edges
+ * The renderer ignores navigation while a page turn is animating, so the move is retried
+ * until the section actually changes
+ * @param {number} dir - 1 for the next section, -1 for the previous one
+ */
+const ttsChangeSection = async (view, dir) => {
+    const renderer = view.renderer;
+    const oldIndex = renderer.getContents()[0]?.index;
+    if (oldIndex === undefined) return null;
+    const sections = view.book.sections;
+    let newIndex = oldIndex + dir;
+    while (sections[newIndex]?.linear === 'no') newIndex += dir;
+    if (!sections[newIndex]) return null;
+
+    for (let attempt = 0; attempt < TTS_SECTION_ATTEMPTS; attempt++) {
+        await renderer.goTo({ index: newIndex });
+        if (renderer.getContents()[0]?.index === newIndex) {
+            logToFlutter(`TTS moved from section ${oldIndex} to ${newIndex}`);
+            return ensureTTS(view);
         }
-        if (fontSize) {
-            document.documentElement.style.fontSize = `${fontSize}px`;
-            document.body.style.fontSize = `${fontSize}px`;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`could not move from section ${oldIndex} to ${newIndex}`);
+};
+
+/**
+ * Speak the block after the current one, crossing into the next section when needed
+ */
+const ttsNext = async (paused = false) => {
+    const view = await ensureView();
+    try {
+        let tts = await ensureTTS(view);
+        let ssml = tts.next(paused);
+        while (!ssml) {
+            tts = await ttsChangeSection(view, 1);
+            if (!tts) {
+                clearTTSHighlight();
+                emitTTSState('stopped', { reason: 'end' });
+                logToFlutter('TTS reached the end of the book');
+                return null;
+            }
+            ssml = tts.start();
         }
+        if (!paused) emitTTSBlock(view, ssml);
+    } catch (e) {
+        logToFlutter(`ttsNext error: ${e.message}`);
+        clearTTSHighlight();
+        emitTTSState('stopped', { reason: 'error', error: e.message });
+    }
+    return null;
+};
 
-        // Generate the theme CSS
-        const themeCSS = generateThemeCSS(theme);
+/**
+ * Speak the block before the current one, crossing into the previous section when needed
+ */
+const ttsPrev = async (paused = false) => {
+    const view = await ensureView();
+    try {
+        let tts = await ensureTTS(view);
+        let ssml = tts.prev(paused);
+        while (!ssml) {
+            tts = await ttsChangeSection(view, -1);
+            if (!tts) {
+                // Already at the first block of the book; restart it
+                ssml = (await ensureTTS(view)).start();
+                break;
+            }
+            // Walk to the last block of the previous section
+            while (tts.next()) { /* advance */ }
+            ssml = tts.resume();
+        }
+        if (!paused && ssml) emitTTSBlock(view, ssml);
+    } catch (e) {
+        logToFlutter(`ttsPrev error: ${e.message}`);
+    }
+    return null;
+};
 
-        // Also create/update a global style element for immediate effect
-        let globalThemeStyle = document.getElementById('epub-flutter-global-theme');
-        if (!globalThemeStyle) {
-            globalThemeStyle = document.createElement('style');
-            globalThemeStyle.id = 'epub-flutter-global-theme';
-            document.head.appendChild(globalThemeStyle);
+/**
+ * Start reading aloud from the current reading position
+ * @param {Object} options - { granularity: 'word' | 'sentence' }
+ */
+const ttsStart = async (options) => {
+    const view = await ensureView();
+    try {
+        const { granularity } = options || {};
+        if (granularity && granularity !== ttsGranularity) {
+            ttsGranularity = granularity;
+            view.tts = null; // Force a new instance with the new granularity
         }
-        globalThemeStyle.textContent = themeCSS;
-        logToFlutter(`Updated global theme style element`);
 
-        // Apply to all currently visible section documents via their style elements
-        if (foliateView?.renderer?.getContents) {
+        const tts = await ensureTTS(view);
+        const range = view.lastLocation?.range;
+        let ssml = null;
+        if (range && range.startContainer.ownerDocument === tts.doc) {
             try {
-                const contents = foliateView.renderer.getContents?.();
-                if (contents && Array.isArray(contents)) {
-                    contents.forEach(({ doc }) => {
-                        if (doc) {
-                            const themeStyleId = 'epub-flutter-theme-style';
-                            let themeStyle = doc.getElementById(themeStyleId);
-                            if (!themeStyle) {
-                                themeStyle = doc.createElement('style');
-                                themeStyle.id = themeStyleId;
-                                doc.head.appendChild(themeStyle);
-                            }
-                            themeStyle.textContent = themeCSS;
-                        }
-                    });
-                    logToFlutter(`Updated theme CSS in ${contents.length} visible sections`);
-                }
+                ssml = tts.from(range);
             } catch (e) {
-                logToFlutter(`Warning: Could not update visible section styles: ${e.message}`);
+                logToFlutter(`TTS could not start from visible range: ${e.message}`);
             }
         }
+        ssml ??= tts.start();
 
-        // Apply to all currently loaded sections via the renderer
-        if (foliateView?.renderer?.setStyles) {
-            foliateView.renderer.setStyles(themeCSS);
-            logToFlutter(`Applied theme via renderer.setStyles()`);
-        } else {
-            logToFlutter(`Warning: foliateView.renderer.setStyles not available yet`);
-        }
+        emitTTSState('playing');
+        if (ssml) emitTTSBlock(view, ssml);
+        else await ttsNext();
     } catch (e) {
-        logToFlutter(`setTheme error: ${e.message}`);
+        logToFlutter(`ttsStart error: ${e.message}`);
     }
+    return null;
 };
 
 /**
- * Clear the current text selection
+ * Start reading aloud from the current text selection
  */
-const clearSelection = () => {
+const ttsFromSelection = async () => {
+    const view = await ensureView();
     try {
-        window.getSelection().removeAllRanges();
-        logToFlutter('Selection cleared');
+        const tts = await ensureTTS(view);
+        const selection = tts.doc.getSelection();
+        if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+            logToFlutter('ttsFromSelection: no selection, starting from current position');
+            return ttsStart();
+        }
+        const range = selection.getRangeAt(0);
+        const ssml = tts.from(range);
+        selection.removeAllRanges();
+
+        emitTTSState('playing');
+        if (ssml) emitTTSBlock(view, ssml);
     } catch (e) {
-        logToFlutter(`clearSelection error: ${e.message}`);
+        logToFlutter(`ttsFromSelection error: ${e.message}`);
     }
+    return null;
 };
 
 /**
- * Set page turn animation duration in milliseconds
- * The paginator uses window.foliateAnimationDuration for animation speed
+ * Pause reading; the native engine stops speaking on its side
  */
-const setAnimationDuration = async (durationMs) => {
-    animationDuration = Math.max(0, Math.min(2000, durationMs)); // Clamp between 0 and 2000ms
+const ttsPause = () => {
+    if (ttsState === 'playing') emitTTSState('paused');
+    return null;
+};
 
-    // Set the global variable that paginator.js uses
-    window.foliateAnimationDuration = animationDuration;
+/**
+ * Resume reading from the last mark reported through ttsSetMark()
+ */
+const ttsResume = async () => {
+    const view = await ensureView();
+    try {
+        const tts = await ensureTTS(view);
+        const ssml = tts.resume();
+        emitTTSState('playing');
+        if (ssml) emitTTSBlock(view, ssml);
+    } catch (e) {
+        logToFlutter(`ttsResume error: ${e.message}`);
+    }
+    return null;
+};
 
-    logToFlutter(`Animation duration set to ${animationDuration}ms (window.foliateAnimationDuration = ${window.foliateAnimationDuration})`);
+/**
+ * Stop reading and remove the highlight
+ */
+const ttsStop = () => {
+    clearTTSHighlight();
+    if (foliateView) foliateView.tts = null;
+    emitTTSState('stopped', { reason: 'user' });
+    return null;
+};
 
-    // Verify it was set correctly
-    if (window.foliateAnimationDuration !== animationDuration) {
-        logToFlutter(`WARNING: window.foliateAnimationDuration mismatch! Expected ${animationDuration}, got ${window.foliateAnimationDuration}`);
+/**
+ * Called by the native speech engine when it reaches an SSML <mark>
+ */
+const ttsSetMark = (name) => {
+    try {
+        foliateView?.tts?.setMark(String(name));
+    } catch (e) {
+        logToFlutter(`ttsSetMark error: ${e.message}`);
     }
+    return null;
+};
 
-    // Note: The 'animated' attribute is now controlled separately via setAnimated()
-    // This function only sets the duration, not the attribute itself
+// ============================================================================
+// MEDIA OVERLAYS (EPUB 3 READ-ALOUD)
+// ============================================================================
+
+const emitMediaOverlayEvent = (type, extra = {}) => {
+    window.flutter_inappwebview?.callHandler('mediaOverlay', { type, ...extra });
 };
 
 /**
- * Enable or disable page turn animations by setting/removing the 'animated' attribute
- * on the paginator (renderer) element.
- * @param {boolean} enabled - If true, enables animations; if false, disables them
+ * Forward MediaOverlay events of a freshly opened book to Flutter's 'mediaOverlay' handler
+ *   { type: 'fragment', text, begin, end, sectionIndex } - a new fragment started playing
+ *   { type: 'sectionChanged', sectionIndex } - playback moved on to another section
+ *   { type: 'finished' } - playback ran past the last section
+ *   { type: 'error', message }
  */
-const setAnimated = async (enabled) => {
-    try {
-        const view = await ensureView();
-        if (view && view.renderer) {
-            if (enabled) {
-                view.renderer.setAttribute('animated', '');
-                logToFlutter('Enabled animations: Set "animated" attribute on paginator element');
-            } else {
-                view.renderer.removeAttribute('animated');
-                logToFlutter('Disabled animations: Removed "animated" attribute from paginator element');
-            }
-        } else {
-            logToFlutter('Warning: Could not set animated attribute - view or renderer not available');
+const attachMediaOverlayListeners = (view) => {
+    mediaOverlayFragment = null;
+    const mediaOverlay = view.mediaOverlay;
+    if (!mediaOverlay) return;
+
+    mediaOverlay.addEventListener('highlight', (event) => {
+        const { text, begin, end } = event.detail || {};
+        if (!text) return;
+
+        const sectionIndex = view.resolveNavigation(text)?.index;
+        const previousSection = mediaOverlayFragment?.sectionIndex;
+        mediaOverlayFragment = { text, begin, end, sectionIndex };
+
+        if (previousSection !== undefined && sectionIndex !== previousSection) {
+            logToFlutter(`Media overlay moved to section ${sectionIndex}`);
+            emitMediaOverlayEvent('sectionChanged', { sectionIndex });
         }
+        emitMediaOverlayEvent('fragment', mediaOverlayFragment);
+    });
+
+    mediaOverlay.addEventListener('finish', () => {
+        logToFlutter('Media overlay playback finished');
+        mediaOverlayFragment = null;
+        emitMediaOverlayEvent('finished');
+    });
+
+    mediaOverlay.addEventListener('error', (event) => {
+        const message = event.detail?.message ?? String(event.detail);
+        logToFlutter(`Media overlay error: ${message}`);
+        emitMediaOverlayEvent('error', { message });
+    });
+
+    logToFlutter('Media overlay listeners attached');
+};
+
+/**
+ * Start media overlay playback at the first fragment on the current page
+ */
+const mediaOverlayStart = async () => {
+    const view = await ensureView();
+    const mediaOverlay = view.mediaOverlay;
+    if (!mediaOverlay) {
+        logToFlutter('mediaOverlayStart: book has no media overlay');
+        return null;
+    }
+
+    try {
+        const { index, doc } = view.renderer.getContents()[0] ?? {};
+        const range = view.lastLocation?.range;
+        // Skip fragments that lie before the visible range of the current section
+        const filter = (item) => {
+            if (!range || !doc) return true;
+            const el = view.resolveNavigation(item.text)?.anchor?.(doc);
+            if (!el || el.nodeType !== Node.ELEMENT_NODE) return true;
+            return range.comparePoint(el, el.childNodes.length) >= 0;
+        };
+        await mediaOverlay.start(index ?? 0, filter);
+        logToFlutter(`Media overlay started in section ${index}`);
     } catch (e) {
-        logToFlutter(`Error setting animated attribute: ${e.message}`);
+        logToFlutter(`mediaOverlayStart error: ${e.message}`);
+    }
+    return null;
+};
+
+const mediaOverlayPause = () => {
+    foliateView?.mediaOverlay?.pause();
+    return null;
+};
+
+const mediaOverlayResume = () => {
+    foliateView?.mediaOverlay?.resume();
+    return null;
+};
+
+const mediaOverlayStop = () => {
+    foliateView?.mediaOverlay?.stop();
+    mediaOverlayFragment = null;
+    return null;
+};
+
+/**
+ * Seek to the previous or next fragment
+ * @param {number} dir - -1 for the previous fragment, 1 for the next one
+ */
+const mediaOverlaySeek = (dir) => {
+    const mediaOverlay = foliateView?.mediaOverlay;
+    if (!mediaOverlay) return null;
+    if (dir < 0) mediaOverlay.prev();
+    else mediaOverlay.next();
+    return null;
+};
+
+/**
+ * Set playback rate (1 = normal speed)
+ */
+const mediaOverlaySetRate = (rate) => {
+    const value = Math.max(0.25, Math.min(4, Number(rate) || 1));
+    foliateView?.mediaOverlay?.setRate(value);
+    logToFlutter(`Media overlay rate set to ${value}`);
+    return null;
+};
+
+/**
+ * Set playback volume (0 to 1)
+ */
+const mediaOverlaySetVolume = (volume) => {
+    const value = Math.max(0, Math.min(1, Number(volume)));
+    foliateView?.mediaOverlay?.setVolume(Number.isNaN(value) ? 1 : value);
+    return null;
+};
+
+/**
+ * Return the fragment currently playing, or null
+ */
+const getMediaOverlayFragment = () => mediaOverlayFragment;
+
+// ============================================================================
+// ANNOTATIONS
+// ============================================================================
+
+/**
+ * Tell Flutter an annotation could not be anchored in the book, instead of dropping it
+ */
+const reportAnnotationFailure = (annotation, reason, index = null) => {
+    logToFlutter(`Annotation failed to anchor (${reason}): ${String(annotation?.value).substring(0, 50)}`);
+    window.flutter_inappwebview?.callHandler('annotationFailed', {
+        value: annotation?.value ?? null,
+        index,
+        reason,
+    });
+};
+
+// Overlayer draw functions by annotation style; 'note' only draws the note marker
+const ANNOTATION_STYLES = {
+    highlight: Overlayer.highlight,
+    underline: Overlayer.underline,
+    strikethrough: Overlayer.strikethrough,
+    squiggly: Overlayer.squiggly,
+    outline: Overlayer.outline,
+    copyImage: Overlayer.copyImage,
+    note: Overlayer.noteIndicator,
+};
+
+/**
+ * Apply per-annotation opacity and blend mode on top of a draw function's own styling
+ */
+const withAppearance = (func, { opacity, blendMode }) => (rects, options) => {
+    const element = func(rects, options);
+    if (opacity != null) element.style.opacity = String(opacity);
+    if (blendMode) element.style.mixBlendMode = blendMode;
+    return element;
+};
+
+/**
+ * Draw an annotation with its style, adding a note marker when it carries a note
+ * Annotation fields: style, color, opacity, blendMode, note,
+ * noteMarker ('superscript' | 'margin' | false), noteColor, noteOpacity
+ */
+const drawAnnotationStyle = (draw, annotation, doc, range) => {
+    const style = ANNOTATION_STYLES[annotation.style] ? annotation.style : 'highlight';
+    const { color, note } = annotation;
+    const node = range.startContainer;
+    const el = node.nodeType === 1 ? node : node.parentElement;
+    const { writingMode, direction } = doc.defaultView.getComputedStyle(el);
+
+    const options = { color, writingMode, padding: 2 };
+    if (style === 'copyImage') {
+        const img = range.cloneContents().querySelector('img') ?? el.closest('img');
+        options.src = img?.currentSrc || img?.src;
+    }
+
+    // Note marker: beside the paragraph in the margin, or as a superscript dot
+    // Options are worked out on every (re)draw, since a reflow moves the paragraph
+    const markerPosition = annotation.noteMarker ?? 'superscript';
+    const getNoteOptions = () => {
+        const noteOptions = {
+            color: annotation.noteColor ?? color,
+            position: markerPosition || 'superscript',
+            writingMode,
+        };
+        if (noteOptions.position === 'margin' && !writingMode.startsWith('vertical')) {
+            const rect = (el.closest('p, li, blockquote, dd, div') ?? el).getBoundingClientRect();
+            noteOptions.marginX = direction === 'rtl' ? rect.right + 4 : rect.left - 12;
+        }
+        return noteOptions;
+    };
+
+    if (style === 'note') {
+        const marker = withAppearance(Overlayer.noteIndicator, annotation);
+        draw(rects => marker(rects, getNoteOptions()));
+        return;
+    }
+    let func = withAppearance(ANNOTATION_STYLES[style], annotation);
+    if (note && markerPosition) {
+        const marker = withAppearance(Overlayer.noteIndicator, { opacity: annotation.noteOpacity });
+        const primary = func;
+        func = (rects, opts) => {
+            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            g.append(primary(rects, opts), marker(rects, getNoteOptions()));
+            return g;
+        };
+    }
+    draw(func, options);
+};
+
+/**
+ * Send Flutter the tapped annotations so it can show one, or a chooser when they overlap
+ * @param {number} index - Section index
+ * @param {Array} hits - [value, range] pairs, innermost first
+ */
+const sendShowAnnotation = (index, hits) => {
+    const stack = hits
+        .filter(([value, range]) => value && range && !isBridgeOverlayKey(value))
+        .map(([value, range]) => ({
+            value,
+            rect: getRectFromRange(range),
+            annotation: annotationStore.get(value)?.annotation ?? null,
+        }));
+    if (!stack.length) return;
+
+    const [top] = stack;
+    window.flutter_inappwebview?.callHandler('showAnnotation', {
+        value: top.value,
+        detail: { value: top.value, index },
+        rect: top.rect, // Raw pixel coordinates (window-relative)
+        containerRect: getContainerRect(),
+        stack,
+    });
+};
+
+/**
+ * Copy an annotation from Flutter, accepting `type` as an older name for `style`
+ */
+const normalizeAnnotation = (annotation) => {
+    const { type, ...rest } = annotation;
+    return { ...rest, style: rest.style ?? type };
+};
+
+const hasOverlayer = (view, index) =>
+    view.renderer?.getContents?.().some(x => x.index === index && x.overlayer) ?? false;
+
+/**
+ * Draw (or redraw) one stored annotation if its section is on screen
+ * view.addAnnotation() replaces whatever was drawn under the same CFI
+ */
+const drawAnnotation = async (view, entry) => {
+    if (entry.index == null || !hasOverlayer(view, entry.index)) return;
+    try {
+        // Before the first draw, check the CFI still points at the annotation's text
+        if (entry.annotation.selector && !entry.verified) {
+            const doc = view.renderer.getContents().find(x => x.index === entry.index)?.doc;
+            let range = null;
+            try {
+                range = view.resolveNavigation(entry.annotation.value)?.anchor?.(doc);
+            } catch {
+                // Re-anchored below
+            }
+            if (!range?.startContainer || !matchesSelector(range, entry.annotation.selector)) {
+                await reanchorAnnotation(view, entry.annotation, { index: entry.index, range: range?.startContainer ? range : null });
+                return;
+            }
+            entry.verified = true;
+        }
+        await view.addAnnotation(entry.annotation);
+    } catch (e) {
+        reportAnnotationFailure(entry.annotation, e.message, entry.index);
+    }
+};
+
+/**
+ * Draw every stored annotation of a section
+ * Called from 'create-overlay', which fires just before the overlayer is attached,
+ * so wait a microtask for the attachment
+ */
+const drawSectionAnnotations = async (view, index) => {
+    await Promise.resolve();
+    // Re-anchoring changes the store while this runs
+    await withReanchorDocs(view, async () => {
+        for (const entry of Array.from(annotationStore.values())) {
+            if (entry.index === index) await drawAnnotation(view, entry);
+        }
+    });
+};
+
+// CFIs being re-anchored, so a section rendering meanwhile doesn't start a second search
+const reanchoring = new Set();
+// Re-anchors done for the open book by old CFI: { value, selector, confidence, index, text },
+// or null if the text wasn't found, so an old CFI sent again isn't searched for again
+const reanchored = new Map();
+// Section documents shared by a batch of re-anchors, so each section is parsed once per batch
+let reanchorDocs = null;
+
+/**
+ * Run `func` with one section document getter for all the re-anchors it starts
+ */
+const withReanchorDocs = async (view, func) => {
+    if (reanchorDocs) return func();
+    reanchorDocs = makeSectionDocGetter(view);
+    try {
+        return await func();
+    } finally {
+        reanchorDocs = null;
+    }
+};
+
+/**
+ * Spine index a CFI names, even when the section or path in it no longer exists
+ */
+const getCFISectionIndex = (value) => {
+    try {
+        const parts = parseCFI(value);
+        const index = fakeCFI.toIndex((parts.parent ?? parts).shift());
+        return Number.isInteger(index) && index >= 0 ? index : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Find an annotation again by its text quote selector when its CFI is broken or points at
+ * different text, e.g. after the publisher updated the book
+ * Looks in and around the section it was in first, then in the whole book. A match replaces
+ * the annotation in the store under its new CFI and Flutter is told with 'annotationReanchored',
+ * so it can save the new CFI and selector
+ * The result is kept by old CFI: if Flutter sends the old CFI again, the same result is used
+ * and reported again without another search
+ * @param {Object} hint - { index, range } where the annotation was, if anything is known
+ * @returns {Object} { index, label, value, confidence } or null if no passage is similar enough
+ */
+const reanchorAnnotation = async (view, annotation, hint) => {
+    const oldValue = annotation.value;
+    if (reanchoring.has(oldValue)) return null;
+    reanchoring.add(oldValue);
+    try {
+        if (!reanchored.has(oldValue)) {
+            const match = await reanchorSelector(view.book, annotation.selector, {
+                getDoc: reanchorDocs ?? makeSectionDocGetter(view),
+                hint,
+            });
+            reanchored.set(oldValue, match && {
+                value: view.getCFI(match.index, match.range),
+                selector: makeTextQuoteSelector(match.range),
+                confidence: Math.round(match.confidence * 1000) / 1000,
+                index: match.index,
+                text: match.range.toString().replace(/\s+/g, ' ').trim(),
+            });
+        }
+        // Removed or replaced while searching
+        if (annotationStore.get(oldValue)?.annotation !== annotation) return null;
+        annotationStore.delete(oldValue);
+        const found = reanchored.get(oldValue);
+        if (!found) {
+            reportAnnotationFailure(annotation, 'text not found in this edition of the book', hint?.index ?? null);
+            return null;
+        }
+
+        const { value, selector, confidence, index, text } = found;
+        const entry = { annotation: { ...annotation, value, selector }, index, verified: true };
+        annotationStore.set(value, entry);
+        logToFlutter(`Re-anchored annotation ${oldValue.substring(0, 30)}... to ${value.substring(0, 30)}... (confidence ${confidence})`);
+        window.flutter_inappwebview?.callHandler('annotationReanchored', {
+            oldValue, value, selector, confidence, index, text,
+        });
+        await drawAnnotation(view, entry);
+        return { index, label: view.getProgressOf(index)?.tocItem?.label ?? '', value, confidence };
+    } catch (e) {
+        annotationStore.delete(oldValue);
+        reportAnnotationFailure(annotation, `re-anchoring failed: ${e.message}`, hint?.index ?? null);
+        return null;
+    } finally {
+        reanchoring.delete(oldValue);
+    }
+};
+
+/**
+ * Put an annotation in the store and draw it if its section is rendered
+ * An annotation with a `selector` whose CFI doesn't resolve is re-anchored by its text
+ * @returns {Object} { index, label }, with { value, confidence } if re-anchored,
+ *   or null if the annotation can't be placed
+ */
+const storeAnnotation = async (view, annotation) => {
+    let index = null;
+    try {
+        index = view.resolveNavigation(annotation.value)?.index ?? null;
+    } catch {
+        // Reported below
+    }
+    if (index == null) {
+        if (annotation.selector) {
+            // Kept without a section while it is searched for, so removing it meanwhile is noticed
+            annotationStore.set(annotation.value, { annotation, index: null });
+            return reanchorAnnotation(view, annotation, { index: getCFISectionIndex(annotation.value) });
+        }
+        annotationStore.delete(annotation.value);
+        reportAnnotationFailure(annotation, 'CFI does not resolve to a section');
+        return null;
+    }
+    const entry = { annotation, index };
+    annotationStore.set(annotation.value, entry);
+    await drawAnnotation(view, entry);
+    return { index, label: view.getProgressOf(index)?.tocItem?.label ?? '' };
+};
+
+/**
+ * Remove an annotation from the store and from the page
+ */
+const unstoreAnnotation = async (view, value) => {
+    const entry = annotationStore.get(value);
+    annotationStore.delete(value);
+    if (entry?.index != null && hasOverlayer(view, entry.index)) {
+        await view.deleteAnnotation({ value });
+    }
+};
+
+/**
+ * Add an annotation (highlight, underline, etc.)
+ * It is kept for the open book and drawn whenever its section is rendered
+ */
+const addAnnotation = async (annotation) => {
+    const view = await ensureView();
+
+    if (!annotation || !annotation.value) {
+        logToFlutter('addAnnotation: invalid annotation');
+        return;
+    }
+
+    try {
+        const normalized = normalizeAnnotation(annotation);
+        logToFlutter(`Adding annotation: style=${normalized.style}, CFI=${normalized.value.substring(0, 30)}...`);
+        return await storeAnnotation(view, normalized);
+    } catch (e) {
+        logToFlutter(`addAnnotation error: ${e.message}`);
+    }
+};
+
+/**
+ * Change an existing annotation (color, style, note); fields not given are kept
+ */
+const updateAnnotation = async (annotation) => {
+    const view = await ensureView();
+    try {
+        const existing = annotationStore.get(annotation?.value);
+        if (!existing) {
+            logToFlutter(`updateAnnotation: no annotation for ${String(annotation?.value).substring(0, 30)}`);
+            return null;
+        }
+        const updated = normalizeAnnotation({ ...existing.annotation, ...annotation });
+        return await storeAnnotation(view, updated);
+    } catch (e) {
+        logToFlutter(`updateAnnotation error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Replace all annotations of the open book with `list`
+ * Only the differences are applied: removed ones are erased, new or changed ones drawn,
+ * unchanged ones left alone
+ * @returns {Object} { added, updated, removed, failed }
+ */
+const setAnnotations = async (list) => {
+    const view = await ensureView();
+    const result = { added: 0, updated: 0, removed: 0, failed: 0 };
+    try {
+        const incoming = new Map();
+        for (const annotation of list ?? []) {
+            if (annotation?.value) incoming.set(annotation.value, normalizeAnnotation(annotation));
+        }
+
+        for (const value of Array.from(annotationStore.keys())) {
+            if (incoming.has(value)) continue;
+            await unstoreAnnotation(view, value);
+            result.removed++;
+        }
+        await withReanchorDocs(view, async () => {
+            for (const [value, annotation] of incoming) {
+                const existing = annotationStore.get(value);
+                if (existing && JSON.stringify(existing.annotation) === JSON.stringify(annotation)) continue;
+                const stored = await storeAnnotation(view, annotation);
+                if (!stored) result.failed++;
+                else if (existing) result.updated++;
+                else result.added++;
+            }
+        });
+        logToFlutter(`setAnnotations: ${JSON.stringify(result)}`);
+    } catch (e) {
+        logToFlutter(`setAnnotations error: ${e.message}`);
+    }
+    return result;
+};
+
+/**
+ * Remove an annotation
+ */
+const removeAnnotation = async (cfiOrAnnotation) => {
+    const view = await ensureView();
+    try {
+        // Handle both string CFI and annotation object (from Flutter JSON)
+        const value = typeof cfiOrAnnotation === 'string' ? cfiOrAnnotation : cfiOrAnnotation?.value;
+        if (!value) {
+            logToFlutter('removeAnnotation error: Invalid CFI or annotation object');
+            return;
+        }
+
+        await unstoreAnnotation(view, value);
+        logToFlutter(`Removed annotation: ${String(value).substring(0, 30)}...`);
+    } catch (e) {
+        logToFlutter(`removeAnnotation error: ${e.message}`);
+    }
+};
+
+/**
+ * Build the text quote selector of an annotation, for annotations saved before selectors
+ * were sent with each selection
+ * @returns {Object} { type, exact, prefix, suffix } or null
+ */
+const getTextQuoteSelector = async (cfi) => {
+    const view = await ensureView();
+    try {
+        if (!view.book) throw new Error('no book open');
+        const { range } = await resolveAnnotationRange(view, cfi, makeSectionDocGetter(view));
+        return makeTextQuoteSelector(range);
+    } catch (e) {
+        logToFlutter(`getTextQuoteSelector error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Return a function that gives the document of a section, for resolving CFIs off screen
+ * Uses the rendered document when there is one, and parses each other section once
+ */
+const makeSectionDocGetter = (view) => {
+    const docs = new Map();
+    return (index) => {
+        if (!docs.has(index)) {
+            const rendered = view.renderer?.getContents?.().find(x => x.index === index)?.doc;
+            docs.set(index, rendered ?? view.book.sections[index]?.createDocument?.());
+        }
+        return docs.get(index);
+    };
+};
+
+/**
+ * Resolve a CFI to its section index and Range
+ * @throws if the CFI does not resolve to a range
+ */
+const resolveAnnotationRange = async (view, value, getDoc) => {
+    const { index, anchor } = view.resolveNavigation(value) ?? {};
+    const doc = index != null ? await getDoc(index) : null;
+    const range = doc ? anchor(doc) : null;
+    if (!range?.startContainer) throw new Error('CFI did not resolve to a range');
+    return { index, range };
+};
+
+/**
+ * Export annotations with their text, chapter and page, grouped by chapter in reading order
+ * @param {Object} options - { format: 'markdown' | 'html' | 'json', annotations, linkTemplate }
+ *   annotations defaults to the ones added to the open book; linkTemplate (e.g.
+ *   'everbound://open?cfi={cfi}') turns each CFI into a deep link
+ * @returns {Object} { format, mimeType, content, count, failed: [cfi] } or null
+ */
+const exportAnnotations = async (options) => {
+    const view = await ensureView();
+    try {
+        const { format = 'markdown', linkTemplate } = options || {};
+        if (!EXPORT_MIME_TYPES[format]) throw new Error(`unknown format ${format}`);
+        if (!view.book) throw new Error('no book open');
+        const annotations = (options?.annotations ?? Array.from(annotationStore.values(), x => x.annotation))
+            .filter(annotation => annotation?.value)
+            .map(normalizeAnnotation);
+
+        const getDoc = makeSectionDocGetter(view);
+        const items = [];
+        const failed = [];
+        for (const annotation of annotations) {
+            try {
+                const { index, range } = await resolveAnnotationRange(view, annotation.value, getDoc);
+                const { tocItem, pageItem } = view.getProgressOf(index, range) ?? {};
+                items.push({
+                    cfi: annotation.value,
+                    text: (annotation.text ?? range.toString()).replace(/\s+/g, ' ').trim(),
+                    note: annotation.note ?? null,
+                    color: annotation.color ?? null,
+                    style: annotation.style ?? 'highlight',
+                    chapter: tocItem?.label ?? null,
+                    pageLabel: pageItem?.label ?? null,
+                    link: linkTemplate ? linkTemplate.replace('{cfi}', encodeURIComponent(annotation.value)) : null,
+                    created: annotation.created ?? null,
+                });
+            } catch (e) {
+                logToFlutter(`exportAnnotations: could not resolve ${annotation.value.substring(0, 50)}: ${e.message}`);
+                failed.push(annotation.value);
+            }
+        }
+        items.sort((a, b) => compareCFI(a.cfi, b.cfi));
+
+        const metadata = normalizeMetadata(view.book.metadata);
+        const content = formatAnnotations(format, {
+            title: metadata.title,
+            author: metadata.authors.join(', ') || null,
+            items,
+        });
+        logToFlutter(`exportAnnotations: ${items.length} exported as ${format}, ${failed.length} failed`);
+        return { format, mimeType: EXPORT_MIME_TYPES[format], content, count: items.length, failed };
+    } catch (e) {
+        logToFlutter(`exportAnnotations error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Convert Calibre bookmarks and highlights to annotations of the open book
+ * Nothing is added to the page; Flutter saves the results and hands them back with setAnnotations()
+ * @param {Object} options - { json } a Calibre annotations export (object or string);
+ *   without it the bookmarks Calibre embedded in the EPUB are read
+ * @returns {Object} { source, annotations, bookmarks, failed: [{ type, calibreId, text, reason }] }
+ *   annotations: { value, style, color, note, text, chapter, created, calibreId }
+ *   bookmarks: { value, title, text, chapter, created, calibreId }
+ *   or null on error
+ */
+const importCalibreAnnotations = async (options) => {
+    const view = await ensureView();
+    try {
+        if (!view.book) throw new Error('no book open');
+        const json = options?.json;
+        const source = json != null ? 'json' : 'embedded';
+        const data = json ?? await view.book.getCalibreBookmarks?.();
+        const items = data != null ? parseCalibreAnnotations(data) : [];
+
+        const getDoc = makeSectionDocGetter(view);
+        const annotations = [];
+        const bookmarks = [];
+        const failed = [];
+        for (const item of items) {
+            try {
+                const { kind, annotation } = convertCalibreAnnotation(item);
+                const { index, range } = await resolveAnnotationRange(view, annotation.value, getDoc);
+                if (kind === 'highlight' && range.collapsed) throw new Error('highlight is empty in this book');
+                const text = kind === 'highlight' ? range.toString().replace(/\s+/g, ' ').trim() : null;
+                const result = {
+                    ...annotation,
+                    // Canonical CFI, with the ID assertions the Calibre one lacks
+                    value: view.getCFI(index, range),
+                    text: text || annotation.text,
+                    chapter: view.getProgressOf(index, range)?.tocItem?.label ?? annotation.chapter,
+                };
+                (kind === 'highlight' ? annotations : bookmarks).push(result);
+            } catch (e) {
+                failed.push({
+                    type: item?.type ?? null,
+                    calibreId: item?.uuid ?? null,
+                    text: item?.highlighted_text ?? item?.title ?? null,
+                    reason: e.message,
+                });
+            }
+        }
+        annotations.sort((a, b) => compareCFI(a.value, b.value));
+        bookmarks.sort((a, b) => compareCFI(a.value, b.value));
+
+        logToFlutter(`importCalibreAnnotations (${source}): ${annotations.length} highlights, ${bookmarks.length} bookmarks, ${failed.length} failed`);
+        return { source, annotations, bookmarks, failed };
+    } catch (e) {
+        logToFlutter(`importCalibreAnnotations error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Pick the book of a clippings file that a title (and author) refers to
+ * Kindle titles often carry a subtitle or series the EPUB title lacks, or the other way around
+ */
+const findClippingsBook = (books, title, author) => {
+    const key = foldText(title);
+    if (!key) return null;
+    const candidates = books.filter(book => {
+        const other = foldText(book.title);
+        return other && (other === key || other.startsWith(key) || key.startsWith(other));
+    });
+    const authorKey = foldText(author);
+    return candidates.find(book => foldText(book.title) === key && authorKey && foldText(book.author) === authorKey)
+        ?? candidates.find(book => foldText(book.title) === key)
+        ?? candidates[0] ?? null;
+};
+
+/**
+ * Import the Kindle clippings of the open book, anchored by their text
+ * Nothing is added to the page; Flutter saves the results and hands them back with setAnnotations()
+ * @param {Object} options - { text, title, author } text is the contents of "My Clippings.txt";
+ *   title and author pick the book in it and default to the open book's
+ * @returns {Object} { book, books, annotations, failed } or null on error
+ *   book: { title, author } of the clippings used, or null if none match
+ *   books: [{ title, author, count }] every book in the file
+ *   annotations: { value, style, color, note, text, chapter, created, kindleLocation, kindlePage, matches }
+ *     matches > 1 means the passage occurs more than once; the one after the previous clipping is used
+ *   failed: [{ type, text, note, kindleLocation, reason }]
+ */
+const importKindleClippings = async (options) => {
+    const view = await ensureView();
+    try {
+        if (!view.book) throw new Error('no book open');
+        const books = parseKindleClippings(options?.text ?? '');
+        const metadata = normalizeMetadata(view.book.metadata);
+        const book = findClippingsBook(books,
+            options?.title ?? metadata.title, options?.author ?? metadata.authors[0]);
+        const summary = books.map(({ title, author, clippings }) => ({ title, author, count: clippings.length }));
+        if (!book) {
+            logToFlutter(`importKindleClippings: no clippings for "${metadata.title}" among ${books.length} books`);
+            return { book: null, books: summary, annotations: [], failed: [] };
+        }
+
+        const getDoc = makeSectionDocGetter(view);
+        const anchor = new TextAnchor(view.book, { getDoc, locale: view.language?.canonical });
+        const annotations = [];
+        const failed = [];
+        let previous = null;
+        for (const clipping of book.clippings) {
+            const fail = (reason) => failed.push({
+                type: clipping.type,
+                text: clipping.text,
+                note: clipping.note ?? null,
+                kindleLocation: clipping.location,
+                reason,
+            });
+            if (clipping.type === 'bookmark') {
+                fail('bookmark has no text to find');
+                continue;
+            }
+            if (clipping.type === 'note') {
+                fail('note is not attached to a highlight');
+                continue;
+            }
+            try {
+                const matches = await anchor.find(clipping.text);
+                if (!matches.length) {
+                    fail('text not found in this book');
+                    continue;
+                }
+                // Clippings are in Kindle location order, so prefer the first match after the last one
+                const match = firstMatchAfter(matches, previous);
+                previous = match;
+                annotations.push({
+                    value: view.getCFI(match.index, match.range),
+                    style: 'highlight',
+                    color: null,
+                    note: clipping.note || null,
+                    text: match.range.toString().replace(/\s+/g, ' ').trim(),
+                    chapter: view.getProgressOf(match.index, match.range)?.tocItem?.label ?? null,
+                    created: clipping.created,
+                    kindleLocation: clipping.location,
+                    kindlePage: clipping.page,
+                    matches: matches.length,
+                });
+            } catch (e) {
+                fail(e.message);
+            }
+        }
+        annotations.sort((a, b) => compareCFI(a.value, b.value));
+
+        logToFlutter(`importKindleClippings: ${annotations.length} anchored, ${failed.length} failed for "${book.title}"`);
+        return { book: { title: book.title, author: book.author }, books: summary, annotations, failed };
+    } catch (e) {
+        logToFlutter(`importKindleClippings error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Return to a location after a reflow (font, spacing or layout change) has moved the text
+ * Uses the renderer directly so no history entry is pushed
+ */
+const restoreLocation = async (view, cfi) => {
+    if (!cfi || !view?.renderer) return;
+    // Give the new styles two frames to lay out before measuring again
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    try {
+        const resolved = view.resolveNavigation(cfi);
+        if (resolved) await view.renderer.goTo(resolved);
+    } catch (e) {
+        logToFlutter(`restoreLocation error: ${e.message}`);
+    }
+};
+
+// Theme keys that change text layout; any change to them needs the location restored
+const TYPOGRAPHY_KEYS = [
+    'fontSize', 'fontFamily', 'lineHeight', 'paragraphSpacing', 'textIndent',
+    'letterSpacing', 'wordSpacing', 'justify', 'hyphenate',
+];
+
+// A number with an optional unit, or `normal`; other strings could end the rule they are in
+const CSS_LENGTH = /^(?:-?(?:\d+|\d*\.\d+)(?:px|em|rem|ex|ch|pt|%)?|normal)$/;
+
+/**
+ * Append a unit to numeric CSS values; strings must be a number with an optional unit
+ * @returns {string} the CSS value, or null if `value` isn't one
+ */
+const cssLength = (value, unit) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? `${value}${unit}` : null;
+    const str = String(value ?? '').trim();
+    return CSS_LENGTH.test(str) ? str : null;
+};
+
+/**
+ * Quote a font family name for use in CSS
+ * Newlines are escaped too, as they would end the string and let the rest through as rules
+ */
+const cssFontFamily = (family) => `"${String(family)
+    .replace(/["\\]/g, '\\$&')
+    .replace(/[\n\r\f]/g, c => `\\${c.charCodeAt(0).toString(16)} `)}"`;
+
+// Generic families stay unquoted; quoted they would name a font called "serif"
+const GENERIC_FONT_FAMILIES = new Set([
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'math', 'emoji',
+    'fangsong', 'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded',
+]);
+
+/**
+ * Turn a font family, a comma-separated list or an array of them into a font-family value
+ * Every name is quoted, so spaces, semicolons or braces coming from Flutter can't break the rule
+ */
+const cssFontFamilyList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(family => String(family).trim().replace(/^(["'])(.*)\1$/s, '$2'))
+    .filter(Boolean)
+    .map(family => GENERIC_FONT_FAMILIES.has(family.toLowerCase()) ? family.toLowerCase() : cssFontFamily(family))
+    .join(', ');
+
+/**
+ * Generate typography CSS for the theme
+ * Only properties present in the theme are overridden, so publisher styles stay otherwise
+ * Numbers are taken as: lineHeight unitless, paragraphSpacing and textIndent in em,
+ * letterSpacing and wordSpacing in px
+ */
+const generateTypographyCSS = (theme) => {
+    const {
+        fontFamily, lineHeight, paragraphSpacing, textIndent,
+        letterSpacing, wordSpacing, justify, hyphenate,
+    } = theme || {};
+    const blocks = 'p, li, blockquote, dd';
+    let css = '';
+    // Numbers are unitless line heights
+    const lineHeightValue = cssLength(lineHeight, '');
+    const paragraphSpacingValue = cssLength(paragraphSpacing, 'em');
+    const textIndentValue = cssLength(textIndent, 'em');
+    const letterSpacingValue = cssLength(letterSpacing, 'px');
+    const wordSpacingValue = cssLength(wordSpacing, 'px');
+
+    if (fontFamily) {
+        css += `
+        html, body, p, span, div, h1, h2, h3, h4, h5, h6, li, a, blockquote, section, dd, dt {
+            font-family: ${cssFontFamilyList(fontFamily)} !important;
+        }`;
+    }
+    if (lineHeightValue != null) {
+        css += `
+        ${blocks} {
+            line-height: ${lineHeightValue} !important;
+        }`;
+    }
+    if (paragraphSpacingValue != null) {
+        css += `
+        p {
+            margin-block: ${paragraphSpacingValue} !important;
+        }`;
+    }
+    if (textIndentValue != null) {
+        css += `
+        p {
+            text-indent: ${textIndentValue} !important;
+        }`;
+    }
+    if (letterSpacingValue != null) {
+        css += `
+        body, ${blocks} {
+            letter-spacing: ${letterSpacingValue} !important;
+        }`;
+    }
+    if (wordSpacingValue != null) {
+        css += `
+        body, ${blocks} {
+            word-spacing: ${wordSpacingValue} !important;
+        }`;
+    }
+    if (justify != null) {
+        css += `
+        ${blocks} {
+            text-align: ${justify ? 'justify' : 'start'} !important;
+        }
+        /* prevent the above from overriding the align attribute */
+        [align="left"] { text-align: left !important; }
+        [align="right"] { text-align: right !important; }
+        [align="center"] { text-align: center !important; }
+        [align="justify"] { text-align: justify !important; }`;
+    }
+    if (hyphenate != null) {
+        css += `
+        ${blocks} {
+            -webkit-hyphens: ${hyphenate ? 'auto' : 'manual'} !important;
+            hyphens: ${hyphenate ? 'auto' : 'manual'} !important;
+            -webkit-hyphenate-limit-before: 3;
+            -webkit-hyphenate-limit-after: 2;
+            -webkit-hyphenate-limit-lines: 2;
+        }`;
+    }
+    return css;
+};
+
+/**
+ * Whether a CSS color (#rgb, #rrggbb or rgb()) is dark, by relative luminance
+ */
+const isDarkColor = (color) => {
+    const value = String(color ?? '').trim();
+    let rgb = null;
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        rgb = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    } else {
+        rgb = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i)?.slice(1, 4).map(Number) ?? null;
+    }
+    if (!rgb) return false;
+    const [r, g, b] = rgb.map(c => {
+        const x = c / 255;
+        return x <= 0.03928 ? x / 12.92 : ((x + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.2;
+};
+
+/**
+ * Generate theme CSS with runtime-configurable variables
+ * Uses CSS variables for easy runtime updates without page reload
+ */
+const generateThemeCSS = (theme) => {
+    const { backgroundColor, textColor, fontSize } = theme || {};
+
+    const css = `
+        html {
+            --overlayer-note-blend-mode: ${isDarkColor(backgroundColor) ? 'screen' : 'multiply'};
+            --overlayer-note-cutout: ${backgroundColor || '#ffffff'};
+            --theme-bg: ${backgroundColor || '#ffffff'};
+            --theme-fg: ${textColor || '#000000'};
+            --theme-font-size: ${fontSize || 18}px;
+            font-size: ${fontSize || 18}px !important;
+        }
+        html, body {
+            background-color: ${backgroundColor || '#ffffff'} !important;
+            color: ${textColor || '#000000'} !important;
+            font-size: ${fontSize || 18}px !important;
+        }
+        /* Ensure all major text elements respect theme */
+        p, span, div, h1, h2, h3, h4, h5, h6, li, a, blockquote, section {
+            color: ${textColor || '#000000'} !important;
+            background-color: inherit;
+        }
+        body {
+            background-color: ${backgroundColor || '#ffffff'} !important;
+        }
+    ` + generateTypographyCSS(theme);
+
+    return generateFontFaceCSS() + css;
+};
+
+/**
+ * Set theme (colors, font size, etc.)
+ */
+const setTheme = (theme) => {
+    const previousTheme = currentTheme;
+    currentTheme = theme;
+
+    try {
+        const { backgroundColor, textColor, fontSize } = theme || {};
+
+        logToFlutter(`Theme applied: bg=${backgroundColor}, text=${textColor}, size=${fontSize}, typography=${JSON.stringify(
+            Object.fromEntries(TYPOGRAPHY_KEYS.filter(key => theme?.[key] != null).map(key => [key, theme[key]])))}`);
+
+        // Remember where we are before the new styles reflow the text
+        const reflows = TYPOGRAPHY_KEYS.some(key => previousTheme?.[key] !== theme?.[key]);
+        const anchorCFI = reflows ? foliateView?.lastLocation?.cfi : null;
+
+        // Apply to document root IMMEDIATELY to style the container
+        if (backgroundColor) {
+            document.documentElement.style.backgroundColor = backgroundColor;
+            document.body.style.backgroundColor = backgroundColor;
+        }
+        if (textColor) {
+            document.documentElement.style.color = textColor;
+            document.body.style.color = textColor;
+        }
+        if (fontSize) {
+            document.documentElement.style.fontSize = `${fontSize}px`;
+            document.body.style.fontSize = `${fontSize}px`;
+        }
+
+        // Generate the theme CSS
+        const themeCSS = generateThemeCSS(theme);
+
+        // Also create/update a global style element for immediate effect
+        let globalThemeStyle = document.getElementById('epub-flutter-global-theme');
+        if (!globalThemeStyle) {
+            globalThemeStyle = document.createElement('style');
+            globalThemeStyle.id = 'epub-flutter-global-theme';
+            document.head.appendChild(globalThemeStyle);
+        }
+        globalThemeStyle.textContent = themeCSS;
+        logToFlutter(`Updated global theme style element`);
+
+        // Apply to all currently visible section documents via their style elements
+        if (foliateView?.renderer?.getContents) {
+            try {
+                const contents = foliateView.renderer.getContents?.();
+                if (contents && Array.isArray(contents)) {
+                    contents.forEach(({ doc }) => {
+                        if (doc) {
+                            const themeStyleId = 'epub-flutter-theme-style';
+                            let themeStyle = doc.getElementById(themeStyleId);
+                            if (!themeStyle) {
+                                themeStyle = doc.createElement('style');
+                                themeStyle.id = themeStyleId;
+                                doc.head.appendChild(themeStyle);
+                            }
+                            themeStyle.textContent = themeCSS;
+                        }
+                    });
+                    logToFlutter(`Updated theme CSS in ${contents.length} visible sections`);
+                }
+            } catch (e) {
+                logToFlutter(`Warning: Could not update visible section styles: ${e.message}`);
+            }
+        }
+
+        // Apply to all currently loaded sections via the renderer
+        if (foliateView?.renderer?.setStyles) {
+            foliateView.renderer.setStyles(themeCSS);
+            logToFlutter(`Applied theme via renderer.setStyles()`);
+            if (anchorCFI) {
+                restoreLocation(foliateView, anchorCFI);
+                schedulePagination();
+            }
+        } else {
+            logToFlutter(`Warning: foliateView.renderer.setStyles not available yet`);
+        }
+    } catch (e) {
+        logToFlutter(`setTheme error: ${e.message}`);
+    }
+};
+
+/**
+ * Clear the current text selection
+ */
+const clearSelection = () => {
+    try {
+        window.getSelection().removeAllRanges();
+        logToFlutter('Selection cleared');
+    } catch (e) {
+        logToFlutter(`clearSelection error: ${e.message}`);
+    }
+};
+
+/**
+ * Set page turn animation duration in milliseconds
+ * The paginator uses window.foliateAnimationDuration for animation speed
+ */
+const setAnimationDuration = async (durationMs) => {
+    animationDuration = Math.max(0, Math.min(2000, durationMs)); // Clamp between 0 and 2000ms
+
+    // Set the global variable that paginator.js uses
+    window.foliateAnimationDuration = animationDuration;
+
+    logToFlutter(`Animation duration set to ${animationDuration}ms (window.foliateAnimationDuration = ${window.foliateAnimationDuration})`);
+
+    // Verify it was set correctly
+    if (window.foliateAnimationDuration !== animationDuration) {
+        logToFlutter(`WARNING: window.foliateAnimationDuration mismatch! Expected ${animationDuration}, got ${window.foliateAnimationDuration}`);
+    }
+
+    // Note: The 'animated' attribute is now controlled separately via setAnimated()
+    // This function only sets the duration, not the attribute itself
+};
+
+/**
+ * Enable or disable page turn animations by setting/removing the 'animated' attribute
+ * on the paginator (renderer) element.
+ * @param {boolean} enabled - If true, enables animations; if false, disables them
+ */
+const setAnimated = async (enabled) => {
+    try {
+        const view = await ensureView();
+        if (view && view.renderer) {
+            if (enabled) {
+                view.renderer.setAttribute('animated', '');
+                logToFlutter('Enabled animations: Set "animated" attribute on paginator element');
+            } else {
+                view.renderer.removeAttribute('animated');
+                logToFlutter('Disabled animations: Removed "animated" attribute from paginator element');
+            }
+        } else {
+            logToFlutter('Warning: Could not set animated attribute - view or renderer not available');
+        }
+    } catch (e) {
+        logToFlutter(`Error setting animated attribute: ${e.message}`);
+    }
+};
+
+// ============================================================================
+// LIBRARY IMPORT (HEADLESS INSPECTION)
+// ============================================================================
+
+// Inspections run one at a time; each call waits for the previous one to settle
+let inspectQueue = Promise.resolve();
+
+/**
+ * Encode bytes as base64 for the Flutter handler payload
+ */
+const encodeBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+// Metadata values are either strings or language maps ({ en: 'Title', fr: 'Titre' })
+const formatLanguageMap = (x) => {
+    if (!x) return null;
+    if (typeof x === 'string') return x;
+    return x[Object.keys(x)[0]] ?? null;
+};
+
+const formatContributor = (x) => typeof x === 'string' ? x : formatLanguageMap(x?.name);
+
+const toArray = (x) => x == null ? [] : Array.isArray(x) ? x : [x];
+
+/**
+ * Flatten the format-specific metadata of makeBook() into plain strings and arrays
+ */
+const normalizeMetadata = (metadata = {}) => {
+    const names = (x) => toArray(x).map(formatContributor).filter(Boolean);
+    const series = toArray(metadata.belongsTo?.series)[0];
+    const position = parseFloat(series?.position);
+    return {
+        title: formatLanguageMap(metadata.title),
+        subtitle: formatLanguageMap(metadata.subtitle),
+        sortAs: formatLanguageMap(metadata.sortAs),
+        authors: names(metadata.author),
+        translators: names(metadata.translator),
+        editors: names(metadata.editor),
+        publisher: formatContributor(metadata.publisher) ?? null,
+        language: toArray(metadata.language)[0] ?? null,
+        published: metadata.published ?? null,
+        modified: metadata.modified ?? null,
+        description: metadata.description ?? null,
+        identifier: typeof metadata.identifier === 'string' ? metadata.identifier : null,
+        subjects: names(metadata.subject),
+        series: series ? {
+            name: formatLanguageMap(series.name),
+            position: Number.isFinite(position) ? position : null,
+        } : null,
+        rights: metadata.rights ?? null,
+    };
+};
+
+const normalizeTOC = (items) => (items ?? []).map(({ label, href, subitems }) => ({
+    label: formatLanguageMap(label) ?? '',
+    href: href ?? null,
+    subitems: normalizeTOC(subitems),
+}));
+
+/**
+ * Sniff a cover image; JPEG and PNG are passed through, anything else is converted
+ */
+const sniffImageType = (bytes) => {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+    return null;
+};
+
+/**
+ * Convert a cover blob to PNG or JPEG bytes, scaling it down to maxCoverSize if given
+ */
+const normalizeCover = async (blob, maxCoverSize) => {
+    if (!blob?.size) return null;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const type = sniffImageType(bytes);
+    if (type && !maxCoverSize) return { bytes, mimeType: type };
+
+    // GIF, WebP, SVG and unlabelled blobs go through a canvas; <img> decodes all of them
+    const url = URL.createObjectURL(type ? blob : new Blob([bytes], {
+        type: /^\s*</.test(new TextDecoder().decode(bytes.subarray(0, 64))) ? 'image/svg+xml' : blob.type,
+    }));
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        const width = img.naturalWidth || 600;
+        const height = img.naturalHeight || 800;
+        const scale = maxCoverSize ? Math.min(1, maxCoverSize / Math.max(width, height)) : 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        const mimeType = type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+        const out = await new Promise(resolve => canvas.toBlob(resolve, mimeType, 0.9));
+        return out ? { bytes: new Uint8Array(await out.arrayBuffer()), mimeType } : null;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+/**
+ * Open a book without rendering it and collect what the library needs
+ * Throws on failure; callers decide how to report it
+ */
+const readBookInfo = async (options) => {
+    const { bytesBase64, url, size, headers, fileName, mimeType, includeCover = true, maxCoverSize } = options || {};
+    if (!bytesBase64 && !url) throw new Error('neither bytesBase64 nor url provided');
+
+    const file = url
+        ? await makeRemoteBookFile(url, { size, headers, fileName, mimeType })
+        : makeBookFile(decodeBase64(bytesBase64), fileName, mimeType);
+    const book = await makeBook(file);
+    try {
+        let cover = null;
+        let coverError = null;
+        if (includeCover) {
+            try {
+                cover = await normalizeCover(await book.getCover?.(), maxCoverSize);
+            } catch (e) {
+                logToFlutter(`inspectBook: cover extraction failed for ${file.name}: ${e.message}`);
+                coverError = e.message;
+            }
+        }
+        return {
+            fileName: file.name,
+            format: await detectBookFormat(file, book),
+            metadata: normalizeMetadata(book.metadata),
+            cover: cover ? { base64: encodeBase64(cover.bytes), mimeType: cover.mimeType } : null,
+            coverError,
+            toc: normalizeTOC(book.toc),
+            sectionCount: book.sections?.length ?? 0,
+            size: file.size,
+            fixedLayout: book.rendition?.layout === 'pre-paginated',
+        };
+    } finally {
+        try {
+            book.destroy?.();
+        } catch (e) {
+            logToFlutter(`inspectBook: destroy failed for ${file.name}: ${e.message}`);
+        }
+    }
+};
+
+/**
+ * Say why a book couldn't be inspected, so Flutter can tell the cases apart
+ * @returns {string} 'unsupported', 'not-found', 'unreadable' (the file or endpoint failed)
+ *   or 'corrupt' (the format was recognised but the book couldn't be parsed)
+ */
+const inspectionFailureReason = (e) => {
+    if (e instanceof UnsupportedTypeError) return 'unsupported';
+    if (e instanceof NotFoundError) return 'not-found';
+    if (e instanceof ResponseError || e instanceof RangeRequestError) return 'unreadable';
+    return 'corrupt';
+};
+
+/**
+ * Queue an inspection behind any that are already running
+ */
+const enqueueInspection = (options) => {
+    const task = inspectQueue.then(() => readBookInfo(options));
+    inspectQueue = task.catch(() => {});
+    return task;
+};
+
+/**
+ * Read metadata, cover, TOC, section count and size of a book without opening it in the view
+ * @param {Object} options - { bytesBase64 | url, size, headers, fileName, mimeType, includeCover, maxCoverSize }
+ * @returns {Object} { fileName, format, metadata, cover: { base64, mimeType }, coverError, toc, sectionCount,
+ *   size, fixedLayout }, or { error, message } on failure, with error from inspectionFailureReason()
+ */
+const inspectBook = async (options) => {
+    try {
+        const info = await enqueueInspection(options);
+        logToFlutter(`inspectBook: ${info.fileName} (${info.format}, ${info.sectionCount} sections)`);
+        return info;
+    } catch (e) {
+        logToFlutter(`inspectBook error: ${e.message}`);
+        return { error: inspectionFailureReason(e), message: e.message };
+    }
+};
+
+/**
+ * Inspect a list of books one after another for bulk imports
+ * Each result is sent to the 'bookInspected' handler as soon as it is ready,
+ * so covers for the whole batch are never held in memory at once:
+ *   { index, total, fileName, result } or { index, total, fileName, error, message }
+ * @param {Array} items - inspectBook() options, one per book
+ * @returns {Object} { total, succeeded, failed }
+ */
+const inspectBooks = async (items) => {
+    const list = toArray(items);
+    let succeeded = 0;
+    for (const [index, options] of list.entries()) {
+        const payload = { index, total: list.length, fileName: options?.fileName ?? null };
+        try {
+            payload.result = await enqueueInspection(options);
+            succeeded++;
+        } catch (e) {
+            logToFlutter(`inspectBooks: ${payload.fileName ?? index} failed: ${e.message}`);
+            payload.error = inspectionFailureReason(e);
+            payload.message = e.message;
+        }
+        window.flutter_inappwebview?.callHandler('bookInspected', payload);
+    }
+    logToFlutter(`inspectBooks: ${succeeded}/${list.length} inspected`);
+    return { total: list.length, succeeded, failed: list.length - succeeded };
+};
+
+// ============================================================================
+// USER FONTS
+// ============================================================================
+
+// Font file signatures mapped to the format() hint and MIME type @font-face expects
+const FONT_FORMATS = [
+    { magic: 'wOF2', format: 'woff2', type: 'font/woff2' },
+    { magic: 'wOFF', format: 'woff', type: 'font/woff' },
+    { magic: 'OTTO', format: 'opentype', type: 'font/otf' },
+];
+const TRUETYPE_FORMAT = { format: 'truetype', type: 'font/ttf' };
+
+const detectFontFormat = (bytes) => {
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+    return FONT_FORMATS.find(f => f.magic === magic) ?? TRUETYPE_FORMAT;
+};
+
+// A weight (400) or weight range (100 900), or a keyword
+const FONT_WEIGHT = /^\d{1,3}( \d{1,3})?$|^(normal|bold)$/;
+const FONT_STYLES = ['normal', 'italic', 'oblique'];
+
+/**
+ * Generate @font-face rules for every registered font
+ * Section documents are same-origin, so they can load the blob URLs created here
+ */
+const generateFontFaceCSS = () => Array.from(registeredFonts.values(), font => `
+        @font-face {
+            font-family: ${cssFontFamily(font.family)};
+            src: url("${font.url}") format("${font.format}");
+            font-weight: ${font.weight};
+            font-style: ${font.style};
+            font-display: block;
+        }`).join('') + '\n';
+
+/**
+ * Re-apply the current theme so section documents pick up font changes
+ * Keeps the location when the theme is using the changed family
+ */
+const refreshFonts = (family) => {
+    if (!currentTheme) return;
+    const inUse = String(currentTheme.fontFamily ?? '').includes(family);
+    const anchorCFI = inUse ? foliateView?.lastLocation?.cfi : null;
+    setTheme(currentTheme);
+    if (anchorCFI) restoreLocation(foliateView, anchorCFI);
+    schedulePagination();
+};
+
+/**
+ * Register a user font file so typography settings can use it by family name
+ * @param {Object} options - { family, bytesBase64, weight, style, id }
+ *   weight: 1 to 999, a range such as '100 900' for variable fonts, 'normal' or 'bold';
+ *   style: 'normal', 'italic' or 'oblique'; anything else is rejected
+ * @returns {Object} { id, family } or null on failure
+ */
+const registerFont = async (options) => {
+    try {
+        const { family, bytesBase64 } = options || {};
+        if (!family || !bytesBase64) throw new Error('family and bytesBase64 are required');
+        // Written into @font-face as is, so only plain values are accepted
+        const weight = String(options.weight ?? 'normal');
+        const style = String(options.style ?? 'normal');
+        if (!FONT_WEIGHT.test(weight)) throw new Error(`invalid font weight: ${weight}`);
+        if (!FONT_STYLES.includes(style)) throw new Error(`invalid font style: ${style}`);
+        const id = options.id ?? `${family}:${weight}:${style}`;
+
+        const bytes = decodeBase64(bytesBase64);
+        const { format, type } = detectFontFormat(bytes);
+        const previous = registeredFonts.get(id);
+        if (previous) URL.revokeObjectURL(previous.url);
+
+        const url = URL.createObjectURL(new Blob([bytes], { type }));
+        registeredFonts.set(id, { id, family, weight, style, format, url });
+        logToFlutter(`Registered font ${id} (${format}, ${bytes.length} bytes)`);
+
+        refreshFonts(family);
+        return { id, family };
+    } catch (e) {
+        logToFlutter(`registerFont error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Remove a registered font by id, or every face of a family
+ * @param {string} idOrFamily - Font id returned by registerFont(), or a family name
+ */
+const unregisterFont = async (idOrFamily) => {
+    try {
+        const fonts = registeredFonts.has(idOrFamily)
+            ? [registeredFonts.get(idOrFamily)]
+            : Array.from(registeredFonts.values()).filter(font => font.family === idOrFamily);
+        for (const font of fonts) {
+            registeredFonts.delete(font.id);
+            URL.revokeObjectURL(font.url);
+        }
+        logToFlutter(`Unregistered ${fonts.length} font(s) for ${idOrFamily}`);
+        if (fonts.length) refreshFonts(fonts[0].family);
+        return fonts.length;
+    } catch (e) {
+        logToFlutter(`unregisterFont error: ${e.message}`);
+        return 0;
+    }
+};
+
+/**
+ * List registered fonts
+ */
+const getRegisteredFonts = async () =>
+    Array.from(registeredFonts.values(), ({ id, family, weight, style, format }) =>
+        ({ id, family, weight, style, format }));
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+// setLayout() option names mapped to the attributes Paginator observes
+const LAYOUT_ATTRIBUTES = {
+    flow: 'flow',
+    gap: 'gap',
+    margin: 'margin',
+    maxInlineSize: 'max-inline-size',
+    maxBlockSize: 'max-block-size',
+    maxColumnCount: 'max-column-count',
+};
+
+/**
+ * Convert a setLayout() value to the attribute string Paginator expects
+ * Numbers are taken as percent for gap and as pixels for the sizes; null removes the attribute
+ */
+const normalizeLayoutValue = (key, value) => {
+    if (value === null || value === undefined || value === '') return null;
+    switch (key) {
+        case 'flow':
+            return value === 'scrolled' ? 'scrolled' : 'paginated';
+        case 'gap':
+            return typeof value === 'number' ? `${Math.max(0, Math.min(50, value))}%` : String(value);
+        case 'maxColumnCount':
+            return String(Math.max(1, Math.round(Number(value)) || 1));
+        default:
+            return typeof value === 'number' ? `${Math.max(0, value)}px` : String(value);
+    }
+};
+
+const applyLayoutAttributes = (renderer, layout) => {
+    if (!renderer) return;
+    for (const [key, attribute] of Object.entries(LAYOUT_ATTRIBUTES)) {
+        if (!(key in layout)) continue;
+        const value = normalizeLayoutValue(key, layout[key]);
+        if (value === null) renderer.removeAttribute(attribute);
+        else if (renderer.getAttribute(attribute) !== value) renderer.setAttribute(attribute, value);
+    }
+};
+
+/**
+ * Read back the layout the renderer is actually using
+ */
+const getEffectiveLayout = (view) => {
+    const renderer = view.renderer;
+    const layout = { fixedLayout: !!view.isFixedLayout };
+    for (const [key, attribute] of Object.entries(LAYOUT_ATTRIBUTES)) {
+        layout[key] = renderer?.getAttribute(attribute) ?? null;
+    }
+    layout.flow = layout.flow || 'paginated';
+    // Paginator renders one header cell per column
+    layout.columnCount = !view.isFixedLayout && layout.flow !== 'scrolled'
+        ? (renderer?.heads?.length || 1)
+        : 1;
+    return layout;
+};
+
+/**
+ * Change paginator layout and keep the reading position
+ * @param {Object} layout - { flow, gap, margin, maxInlineSize, maxBlockSize, maxColumnCount }
+ * The effective layout is sent to Flutter's 'layoutChanged' handler
+ */
+const setLayout = async (layout) => {
+    const view = await ensureView();
+    currentLayout = { ...currentLayout, ...(layout || {}) };
+
+    if (!view.renderer) {
+        logToFlutter('setLayout: no book open yet, layout will be applied on open');
+        return null;
+    }
+
+    try {
+        if (view.isFixedLayout) {
+            logToFlutter('setLayout: fixed-layout book, paginator settings do not apply');
+        } else {
+            const anchorCFI = view.lastLocation?.cfi;
+            applyLayoutAttributes(view.renderer, layout || {});
+
+            // Let the attribute changes re-render, then re-anchor on the previous location
+            await restoreLocation(view, anchorCFI);
+        }
+
+        const effective = getEffectiveLayout(view);
+        logToFlutter(`Layout applied: ${JSON.stringify(effective)}`);
+        window.flutter_inappwebview?.callHandler('layoutChanged', effective);
+        schedulePagination();
+    } catch (e) {
+        logToFlutter(`setLayout error: ${e.message}`);
+    }
+    return null;
+};
+
+// ============================================================================
+// EXACT PAGINATION
+// ============================================================================
+
+// Layout settles over several events (resize, theme, fonts); count once it has
+const PAGINATION_DELAY = 500;
+
+/**
+ * Stop the running pagination pass and forget counts made for another layout
+ */
+const cancelPagination = () => {
+    clearTimeout(paginationTimer);
+    paginationTimer = null;
+    paginationController?.abort();
+    paginationController = null;
+    paginationResult = null;
+};
+
+/**
+ * Re-count pages after the layout, typography or size changed
+ */
+const schedulePagination = () => {
+    cancelPagination();
+    if (!exactPagination) return;
+    paginationTimer = setTimeout(runPagination, PAGINATION_DELAY);
+};
+
+const runPagination = async () => {
+    const view = foliateView;
+    const book = view?.book;
+    if (!book || view.isFixedLayout || !view.renderer || view.renderer.scrolled) return;
+
+    const controller = new AbortController();
+    paginationController = controller;
+    const startedAt = Date.now();
+    try {
+        const counts = await countSectionPages(book, view.renderer, {
+            styles: currentTheme ? generateThemeCSS(currentTheme) : '',
+            // Same language and direction view.js gives rendered sections; both affect layout
+            onLoad: ({ doc }) => {
+                doc.documentElement.lang ||= view.language?.canonical ?? '';
+                if (!view.language?.isCJK) doc.documentElement.dir ||= view.language?.direction ?? '';
+            },
+            signal: controller.signal,
+            onProgress: ({ index, total }) => window.flutter_inappwebview?.callHandler('paginationProgress', {
+                done: index + 1,
+                total,
+            }),
+        });
+        if (controller.signal.aborted || view.book !== book) return;
+
+        const starts = [];
+        let total = 0;
+        for (const count of counts) {
+            starts.push(total);
+            total += count;
+        }
+        paginationResult = { book, counts, starts, total };
+        logToFlutter(`Pagination complete: ${total} pages in ${Date.now() - startedAt}ms`);
+
+        window.flutter_inappwebview?.callHandler('paginationComplete', {
+            total,
+            sectionPages: counts,
+            exactPages: getExactPageInfo(view),
+        });
+    } catch (e) {
+        if (!controller.signal.aborted) logToFlutter(`Pagination error: ${e.message}`);
+    } finally {
+        if (paginationController === controller) paginationController = null;
+    }
+};
+
+/**
+ * Current position in real pages, or null until the background pass has finished
+ * @returns {Object} { page, total, sectionPage, sectionPages, pagesLeftInChapter, pagesLeftInBook }
+ */
+const getExactPageInfo = (view) => {
+    const renderer = view?.renderer;
+    if (!paginationResult || paginationResult.book !== view?.book || !renderer || renderer.scrolled) return null;
+
+    const { counts, starts, total } = paginationResult;
+    const index = renderer.getContents?.()[0]?.index;
+    if (index == null || !counts[index]) return null;
+
+    // renderer.page counts the blank page before the text
+    const sectionPage = Math.min(Math.max(renderer.page - 1, 0), counts[index] - 1);
+    const page = starts[index] + sectionPage + 1;
+
+    // A chapter can span sections; keep counting while the following ones stay in it
+    let pagesLeftInChapter = counts[index] - 1 - sectionPage;
+    const tocItem = view.lastLocation?.tocItem;
+    for (let i = index + 1; tocItem && i < counts.length; i++) {
+        if (view.book.sections[i]?.linear === 'no') continue;
+        if (view.getProgressOf(i)?.tocItem?.id !== tocItem.id) break;
+        pagesLeftInChapter += counts[i];
+    }
+
+    return {
+        page,
+        total,
+        sectionPage: sectionPage + 1,
+        sectionPages: counts[index],
+        pagesLeftInChapter,
+        pagesLeftInBook: total - page,
+    };
+};
+
+/**
+ * Turn background counting of real pages on or off
+ * While on, counts are redone whenever the layout, typography or viewport size changes,
+ * and `relocate` carries `exactPages` once they are ready
+ */
+const setExactPagination = async (enabled) => {
+    exactPagination = !!enabled;
+    logToFlutter(`Exact pagination ${exactPagination ? 'enabled' : 'disabled'}`);
+    schedulePagination();
+    return null;
+};
+
+window.addEventListener('resize', () => {
+    if (exactPagination) schedulePagination();
+});
+
+// ============================================================================
+// READING STATISTICS
+// ============================================================================
+
+/**
+ * Totals for the current reading session: time, pages, words, speed and per-chapter time
+ */
+const getReadingSession = async () => {
+    try {
+        return readingStats.getSummary();
+    } catch (e) {
+        logToFlutter(`getReadingSession error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Start a new reading session for the open book, returning the summary of the old one
+ */
+const resetReadingSession = async () => {
+    const summary = await getReadingSession();
+    readingStats = new ReadingStats();
+    const location = foliateView?.lastLocation;
+    if (location) {
+        try {
+            readingStats.update(foliateView, location);
+        } catch (e) {
+            logToFlutter(`resetReadingSession error: ${e.message}`);
+        }
+    }
+    return summary;
+};
+
+// Time in the background is not reading time
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') readingStats.pause();
+    else readingStats.resume();
+});
+
+// ============================================================================
+// KOREADER HIGHLIGHTS
+// ============================================================================
+
+// KOReader's highlight color names and the colors it draws them in
+const KOREADER_COLORS = {
+    red: '#ff3300',
+    orange: '#ff8800',
+    yellow: '#ffff33',
+    green: '#00aa66',
+    olive: '#88ff77',
+    cyan: '#00ffee',
+    blue: '#0066ff',
+    purple: '#ee00ff',
+    gray: '#808080',
+};
+
+// KOReader drawers by annotation style, and back
+const KOREADER_DRAWERS = {
+    highlight: 'lighten',
+    underline: 'underscore',
+    strikethrough: 'strikeout',
+    squiggly: 'underscore',
+};
+const KOREADER_STYLES = {
+    lighten: 'highlight',
+    underscore: 'underline',
+    strikeout: 'strikethrough',
+    invert: 'highlight',
+};
+
+const parseHexColor = (hex) => {
+    const match = String(hex ?? '').match(/^#?([0-9a-f]{6})/i);
+    if (!match) return null;
+    const n = parseInt(match[1], 16);
+    return [n >> 16, (n >> 8) & 255, n & 255];
+};
+
+/**
+ * Name the KOReader color closest to a hex color
+ */
+const toKOReaderColor = (hex) => {
+    const rgb = parseHexColor(hex);
+    if (!rgb) return 'yellow';
+    let best = 'yellow';
+    let bestDistance = Infinity;
+    for (const [name, value] of Object.entries(KOREADER_COLORS)) {
+        const distance = parseHexColor(value).reduce((sum, x, i) => sum + (x - rgb[i]) ** 2, 0);
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    }
+    return best;
+};
+
+// KOReader writes local time as "YYYY-MM-DD HH:MM:SS"
+const toKOReaderDate = (value) => {
+    const date = value ? new Date(value) : new Date();
+    if (Number.isNaN(date.getTime())) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+const fromKOReaderDate = (value) => {
+    const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const [, y, mo, d, h, mi, s] = match.map(Number);
+    return new Date(y, mo - 1, d, h, mi, s).toISOString();
+};
+
+/**
+ * Convert an annotation of the open book to a KOReader highlight
+ * The positions are exact XPointers, so the highlight covers the same characters in KOReader
+ * @param {Object} annotation - { value, style, color, note, created }
+ * @returns {Object} { pos0, pos1, page, text, chapter, drawer, color, note, datetime } or null
+ */
+const toKOReaderHighlight = async (annotation) => {
+    const view = await ensureView();
+    try {
+        if (!view.book) throw new Error('no book open');
+        const { style, color, note, created } = normalizeAnnotation(annotation);
+        const { index, range, pos0, pos1, text } = await convertCFIToXPointers(view, annotation.value);
+        return {
+            pos0,
+            pos1,
+            page: pos0,
+            text: text.replace(/\s+/g, ' ').trim(),
+            chapter: view.getProgressOf(index, range)?.tocItem?.label ?? '',
+            drawer: KOREADER_DRAWERS[style] ?? 'lighten',
+            color: toKOReaderColor(color),
+            note: note || undefined,
+            datetime: toKOReaderDate(created),
+        };
+    } catch (e) {
+        logToFlutter(`toKOReaderHighlight error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Convert a KOReader highlight to an annotation of the open book
+ * @param {Object} highlight - { pos0, pos1, text, chapter, drawer, color, note, datetime }
+ * @returns {Object} { value, style, color, note, text, chapter, created, textMatches };
+ *   textMatches is false when the text at the positions differs from the highlight's text,
+ *   e.g. because the two readers have different editions of the book
+ * @param {Function} getDoc - section document getter, see makeSectionDocGetter()
+ * @throws if the positions don't resolve in the book
+ */
+const convertKOReaderHighlight = async (view, highlight, getDoc = makeSectionDocGetter(view)) => {
+    if (!isXPointer(highlight?.pos0)) throw new Error('highlight has no XPointer position');
+    const { index, range, cfi, text } = await convertXPointersToCFI(view, highlight.pos0, highlight.pos1, getDoc);
+    if (range.collapsed) throw new Error('highlight is empty in this book');
+    const normalize = (str) => String(str ?? '').replace(/\s+/g, ' ').trim();
+    return {
+        value: cfi,
+        style: KOREADER_STYLES[highlight.drawer] ?? 'highlight',
+        color: KOREADER_COLORS[highlight.color] ?? KOREADER_COLORS.yellow,
+        note: highlight.note || null,
+        text: normalize(text),
+        chapter: view.getProgressOf(index, range)?.tocItem?.label ?? highlight.chapter ?? null,
+        created: fromKOReaderDate(highlight.datetime),
+        textMatches: highlight.text == null || normalize(highlight.text) === normalize(text),
+    };
+};
+
+// Positions in KOReader files are XPointers for reflowable books, page tables for PDFs
+const isXPointer = (x) => typeof x === 'string' && x.startsWith('/body/');
+
+/**
+ * Convert a KOReader highlight to an annotation of the open book
+ * @returns {Object} see convertKOReaderHighlight(), or null
+ */
+const fromKOReaderHighlight = async (highlight) => {
+    const view = await ensureView();
+    try {
+        if (!view.book) throw new Error('no book open');
+        return await convertKOReaderHighlight(view, highlight);
+    } catch (e) {
+        logToFlutter(`fromKOReaderHighlight error: ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Import the highlights, bookmarks and reading position of a KOReader sidecar file
+ * Nothing is added to the page; Flutter saves the results and hands them back with setAnnotations()
+ * @param {Object} options - { lua } contents of `<book>.sdr/metadata.epub.lua`
+ * @returns {Object} { annotations, bookmarks, position, failed: [{ type, text, position, reason }] }
+ *   annotations: see convertKOReaderHighlight()
+ *   bookmarks: { value, text, chapter, created }
+ *   position: { cfi, xpointer, fraction } or null; cfi is null if the XPointer doesn't resolve
+ *   or null when the file can't be read
+ */
+const importKOReaderSidecar = async (options) => {
+    const view = await ensureView();
+    try {
+        if (!view.book) throw new Error('no book open');
+        const sidecar = readKOReaderSidecar(options?.lua ?? '');
+        // Each chapter is parsed once, however many highlights it has
+        const getDoc = makeSectionDocGetter(view);
+
+        const annotations = [];
+        const bookmarks = [];
+        const failed = [];
+        for (const highlight of sidecar.highlights) {
+            try {
+                annotations.push(await convertKOReaderHighlight(view, highlight, getDoc));
+            } catch (e) {
+                failed.push({ type: 'highlight', text: highlight.text, position: highlight.pos0 ?? null, reason: e.message });
+            }
+        }
+        for (const bookmark of sidecar.bookmarks) {
+            try {
+                if (!isXPointer(bookmark.page)) throw new Error('bookmark has no XPointer position');
+                const { index, range, cfi } = await convertXPointersToCFI(view, bookmark.page, undefined, getDoc);
+                bookmarks.push({
+                    value: cfi,
+                    text: bookmark.text,
+                    chapter: view.getProgressOf(index, range)?.tocItem?.label ?? bookmark.chapter,
+                    created: fromKOReaderDate(bookmark.datetime),
+                });
+            } catch (e) {
+                failed.push({ type: 'bookmark', text: bookmark.text, position: bookmark.page ?? null, reason: e.message });
+            }
+        }
+        annotations.sort((a, b) => compareCFI(a.value, b.value));
+        bookmarks.sort((a, b) => compareCFI(a.value, b.value));
+
+        // Without an XPointer the fraction alone can still place the reader
+        const position = sidecar.lastXPointer || sidecar.percentFinished != null
+            ? { cfi: null, xpointer: sidecar.lastXPointer, fraction: sidecar.percentFinished }
+            : null;
+        if (sidecar.lastXPointer) {
+            try {
+                if (!isXPointer(sidecar.lastXPointer)) throw new Error('position is not an XPointer');
+                ({ cfi: position.cfi } = await convertXPointersToCFI(view, sidecar.lastXPointer, undefined, getDoc));
+            } catch (e) {
+                failed.push({ type: 'position', text: null, position: sidecar.lastXPointer, reason: e.message });
+            }
+        }
+
+        logToFlutter(`importKOReaderSidecar: ${annotations.length} highlights, ${bookmarks.length} bookmarks, ${failed.length} failed`);
+        return { annotations, bookmarks, position, failed };
+    } catch (e) {
+        logToFlutter(`importKOReaderSidecar error: ${e.message}`);
+        return null;
     }
 };
 
@@ -1558,12 +4046,56 @@ try {
         goToLocation,
         nextPage,
         prevPage,
+        goToPage,
+        historyBack,
+        historyForward,
+        followLink,
+        setInterceptInternalLinks,
         addAnnotation,
+        updateAnnotation,
+        setAnnotations,
         removeAnnotation,
+        getTextQuoteSelector,
+        exportAnnotations,
+        importCalibreAnnotations,
+        importKindleClippings,
+        toKOReaderHighlight,
+        fromKOReaderHighlight,
+        importKOReaderSidecar,
         setTheme,
         setAnimationDuration,
         setAnimated,
+        setLayout,
+        setExactPagination,
+        cancelPagination,
+        getReadingSession,
+        resetReadingSession,
+        inspectBook,
+        inspectBooks,
+        registerFont,
+        unregisterFont,
+        getRegisteredFonts,
         clearSelection,
+        search,
+        cancelSearch,
+        clearSearch,
+        goToSearchResult,
+        ttsStart,
+        ttsPause,
+        ttsResume,
+        ttsNext,
+        ttsPrev,
+        ttsFromSelection,
+        ttsStop,
+        ttsSetMark,
+        mediaOverlayStart,
+        mediaOverlayPause,
+        mediaOverlayResume,
+        mediaOverlayStop,
+        mediaOverlaySeek,
+        mediaOverlaySetRate,
+        mediaOverlaySetVolume,
+        getMediaOverlayFragment,
     };
 
     logToFlutter('✅ Flutter bridge ready! window.everboundReader is exposed');
@@ -0,0 +1,185 @@
+/**
+ * Kindle Clippings Module
+ *
+ * Parses the "My Clippings.txt" file Kindle devices keep highlights, notes and bookmarks in
+ * Each clipping is a title line, a metadata line, a blank line and the text, ended by a line of
+ * equals signs. The metadata line is localized, e.g.
+ *   - Your Highlight on page 12 | Location 170-172 | Added on Monday, March 4, 2019 10:23:45 PM
+ *   - Ihre Markierung auf Seite 12 | Position 170-172 | Hinzugefügt am Montag, 4. März 2019 22:23:45
+ *   - 12ページ|位置No. 170-172のハイライト |作成日: 2019年3月4日月曜日 22:23:45
+ *
+ * Clippings have no position in the book other than Kindle's own locations, so they are
+ * anchored later by their text
+ */
+
+const SEPARATOR = /^={5,}\s*$/m
+
+// Words that name the clipping type in the metadata line, by locale
+const TYPE_WORDS = [
+    ['highlight', /highlight|markierung|surlignement|subrayado|evidenziazione|destaque|markering|ハイライト|标注|标记|выделение|выделенный|podkreślenie|zvýraznění/i],
+    ['note', /note|notiz|nota|notitie|メモ|笔记|заметка|notatka|poznámka/i],
+    ['bookmark', /bookmark|lesezeichen|signet|marcador|segnalibro|bladwijzer|ブックマーク|书签|закладка|zakładka|záložka/i],
+]
+
+const LOCATION_WORDS = /loc\.?|location|position|emplacement|posición|posizione|posição|locatie|位置|место|pozycja|pozice/i
+const PAGE_WORDS = /page|seite|página|pagina|ページ|页|страниц|stron|stran|strán/i
+
+const MONTHS = [
+    ['january', 'januar', 'janvier', 'enero', 'gennaio', 'janeiro', 'januari', 'января', 'stycznia', 'ledna'],
+    ['february', 'februar', 'février', 'febrero', 'febbraio', 'fevereiro', 'februari', 'февраля', 'lutego', 'února'],
+    ['march', 'märz', 'mars', 'marzo', 'março', 'maart', 'марта', 'marca', 'března'],
+    ['april', 'avril', 'abril', 'aprile', 'апреля', 'kwietnia', 'dubna'],
+    ['may', 'mai', 'mayo', 'maggio', 'maio', 'mei', 'мая', 'maja', 'května'],
+    ['june', 'juni', 'juin', 'junio', 'giugno', 'junho', 'июня', 'czerwca', 'června'],
+    ['july', 'juli', 'juillet', 'julio', 'luglio', 'julho', 'июля', 'lipca', 'července'],
+    ['august', 'août', 'agosto', 'augustus', 'августа', 'sierpnia', 'srpna'],
+    ['september', 'septembre', 'septiembre', 'settembre', 'setembro', 'сентября', 'września', 'září'],
+    ['october', 'oktober', 'octobre', 'octubre', 'ottobre', 'outubro', 'октября', 'października', 'října'],
+    ['november', 'novembre', 'noviembre', 'novembro', 'ноября', 'listopada', 'listopadu'],
+    ['december', 'dezember', 'décembre', 'diciembre', 'dicembre', 'dezembro', 'декабря', 'grudnia', 'prosince'],
+]
+const MONTH_NUMBERS = new Map(MONTHS.flatMap((names, i) => names.map(name => [name, i])))
+
+const parseRange = (str) => {
+    const match = str?.match(/(\d+)(?:\s*[-–]\s*(\d+))?/)
+    if (!match) return null
+    const start = parseInt(match[1], 10)
+    let end = match[2] ? parseInt(match[2], 10) : start
+    // Old firmware shortens the end, as in "Loc. 1170-72"
+    if (match[2] && match[2].length < match[1].length) {
+        end = parseInt(match[1].slice(0, match[1].length - match[2].length) + match[2], 10)
+    }
+    return { start, end }
+}
+
+/**
+ * Parse the date a clipping was added
+ * Only the year, month, day and time are used, so weekday names and filler words in any
+ * language don't matter; numeric-only dates are ambiguous and give null
+ * @returns {string} ISO date, reading the time as local time, or null
+ */
+export const parseClippingDate = (str) => {
+    if (!str) return null
+    let year, month, day
+    const cjk = str.match(/(\d{4})年(\d{1,2})月(\d{1,2})日/)
+    if (cjk) {
+        [year, month, day] = [Number(cjk[1]), Number(cjk[2]) - 1, Number(cjk[3])]
+    } else {
+        const words = str.toLowerCase().match(/[\p{L}]+|\d+/gu) ?? []
+        const monthIndex = words.findIndex(word => MONTH_NUMBERS.has(word))
+        if (monthIndex < 0) return null
+        month = MONTH_NUMBERS.get(words[monthIndex])
+        const numbers = words.filter(word => /^\d+$/.test(word)).map(Number)
+        year = numbers.find(n => n > 31)
+        // The day is the number nearest the month name, before it ("4 de marzo") or after it
+        const isDay = (word) => /^\d+$/.test(word ?? '') && Number(word) >= 1 && Number(word) <= 31
+        const near = [monthIndex - 1, monthIndex - 2, monthIndex + 1, monthIndex + 2].find(i => isDay(words[i]))
+        day = near != null ? Number(words[near]) : null
+    }
+    if (year == null || day == null) return null
+
+    let [hours, minutes, seconds] = [0, 0, 0]
+    const time = str.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s*m\.?)?/i)
+    if (time) {
+        hours = Number(time[1])
+        minutes = Number(time[2])
+        seconds = Number(time[3] ?? 0)
+        const pm = time[4]?.toLowerCase() === 'p' || /下午|午後/.test(str)
+        const am = time[4]?.toLowerCase() === 'a' || /上午|午前/.test(str)
+        if (pm && hours < 12) hours += 12
+        if (am && hours === 12) hours = 0
+    }
+    const date = new Date(year, month, day, hours, minutes, seconds)
+    return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Split "Title (Author)" at the last parenthesized part
+ */
+const parseTitleLine = (line) => {
+    const match = line.match(/^(.*?)\s*\(([^()]*)\)\s*$/)
+    return match && match[1]
+        ? { title: match[1].trim(), author: match[2].trim() || null }
+        : { title: line.trim(), author: null }
+}
+
+const parseMetadataLine = (line) => {
+    const parts = line.replace(/^\s*-\s*/, '').split('|')
+    // The type is in the first part, except in layouts like Japanese where it follows the location
+    const type = TYPE_WORDS.find(([, regex]) => regex.test(parts[0]))?.[0]
+        ?? TYPE_WORDS.find(([, regex]) => regex.test(line))?.[0] ?? null
+    const locationPart = parts.find(part => LOCATION_WORDS.test(part))
+    const pagePart = parts.find(part => PAGE_WORDS.test(part) && part !== locationPart)
+    return {
+        type,
+        location: parseRange(locationPart?.replace(/^.*?(?:loc\.?|location|position|emplacement|posición|posizione|posição|locatie|位置(?:no\.)?|место|pozycja|pozice)/i, '')),
+        page: pagePart?.match(/\d+/)?.[0] ?? null,
+        created: parseClippingDate(parts[parts.length - 1]),
+    }
+}
+
+/**
+ * Parse one clipping
+ * @returns {Object} { title, author, type, text, page, location, created } or null
+ */
+const parseClipping = (block) => {
+    const lines = block.replace(/^\uFEFF/, '').split(/\r?\n/)
+    while (lines.length && !lines[0].trim()) lines.shift()
+    if (lines.length < 2) return null
+    const { title, author } = parseTitleLine(lines[0].replace(/^\uFEFF/, ''))
+    const metadata = parseMetadataLine(lines[1])
+    if (!metadata.type) return null
+    const text = lines.slice(2).join('\n').trim()
+    return { title, author, ...metadata, text }
+}
+
+/**
+ * Fold notes into the highlights they were written on and drop superseded highlights
+ * A note's location is the end of its highlight; editing a highlight on the device adds a
+ * second clipping for the same place, and the later one wins
+ */
+const mergeClippings = (clippings) => {
+    const highlights = []
+    const others = []
+    for (const clipping of clippings) {
+        if (clipping.type !== 'highlight') {
+            others.push(clipping)
+            continue
+        }
+        const overlapping = highlights.findIndex(x => x.location && clipping.location
+            && x.location.start <= clipping.location.end && clipping.location.start <= x.location.end
+            && (x.text.includes(clipping.text) || clipping.text.includes(x.text)))
+        if (overlapping >= 0) highlights[overlapping] = { ...clipping, note: highlights[overlapping].note }
+        else highlights.push({ ...clipping, note: null })
+    }
+    const result = [...highlights]
+    for (const clipping of others) {
+        const highlight = clipping.type === 'note' && clipping.location
+            ? highlights.find(x => x.location
+                && x.location.start <= clipping.location.start && clipping.location.start <= x.location.end)
+            : null
+        if (highlight) highlight.note = highlight.note ? `${highlight.note}\n${clipping.text}` : clipping.text
+        else result.push(clipping)
+    }
+    return result.sort((a, b) => (a.location?.start ?? 0) - (b.location?.start ?? 0))
+}
+
+/**
+ * Parse a "My Clippings.txt" file and group its clippings by book
+ * @param {string} text
+ * @returns {Array} [{ title, author, clippings: [{ type, text, note, page, location, created }] }]
+ *   in the order the books first appear; type is 'highlight', 'note' or 'bookmark' and
+ *   location is { start, end } in Kindle locations
+ */
+export const parseKindleClippings = (text) => {
+    const books = new Map()
+    for (const block of String(text).split(SEPARATOR)) {
+        const clipping = parseClipping(block)
+        if (!clipping) continue
+        const { title, author, ...rest } = clipping
+        const key = `${title}\u0000${author ?? ''}`
+        if (!books.has(key)) books.set(key, { title, author, clippings: [] })
+        books.get(key).clippings.push(rest)
+    }
+    return Array.from(books.values(), book => ({ ...book, clippings: mergeClippings(book.clippings) }))
+}
@@ -0,0 +1,280 @@
+/**
+ * KOReader Sidecar Module
+ *
+ * Reads the annotations, bookmarks and reading position KOReader keeps next to a book in
+ * `<book>.sdr/metadata.epub.lua`
+ *
+ * The file is a Lua chunk that returns one table, written by KOReader's serializer: string,
+ * number, boolean and nil values, nested tables, `["key"] =` / `[1] =` / `key =` fields and
+ * comments. Only that subset of Lua is parsed; nothing is evaluated
+ *
+ * Two layouts exist: KOReader 2024.04 and later keep everything in `annotations`; older
+ * versions split highlights (`highlight`, keyed by page) from `bookmarks`, where a highlighted
+ * bookmark carries the highlight's note
+ */
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '\\': '\\', '"': '"', '\'': '\'', '\n': '\n' }
+
+const utf8 = new TextDecoder()
+
+class LuaParser {
+    #text
+    #pos = 0
+
+    constructor(text) {
+        this.#text = text
+    }
+
+    #error(message) {
+        const line = this.#text.slice(0, this.#pos).split('\n').length
+        return new Error(`${message} at line ${line}`)
+    }
+
+    #skipSpace() {
+        const text = this.#text
+        for (;;) {
+            const match = /^\s+/.exec(text.slice(this.#pos, this.#pos + 1000))
+            if (match) {
+                this.#pos += match[0].length
+                continue
+            }
+            if (!text.startsWith('--', this.#pos)) return
+            this.#pos += 2
+            const long = /^\[(=*)\[/.exec(text.slice(this.#pos, this.#pos + 100))
+            if (long) {
+                const end = text.indexOf(`]${long[1]}]`, this.#pos)
+                this.#pos = end < 0 ? text.length : end + long[0].length
+            } else {
+                const end = text.indexOf('\n', this.#pos)
+                this.#pos = end < 0 ? text.length : end + 1
+            }
+        }
+    }
+
+    #peek() {
+        this.#skipSpace()
+        return this.#text[this.#pos]
+    }
+
+    #expect(str) {
+        this.#skipSpace()
+        if (!this.#text.startsWith(str, this.#pos)) throw this.#error(`Expected "${str}"`)
+        this.#pos += str.length
+    }
+
+    // Quoted string; `\ddd` and `\xXX` escapes are bytes, so runs of them are decoded as UTF-8
+    #parseQuotedString() {
+        const text = this.#text
+        const quote = text[this.#pos++]
+        let result = ''
+        let bytes = []
+        const flush = () => {
+            if (bytes.length) result += utf8.decode(new Uint8Array(bytes))
+            bytes = []
+        }
+        for (;;) {
+            const char = text[this.#pos++]
+            if (char == null || char === '\n') throw this.#error('Unfinished string')
+            if (char === quote) break
+            if (char !== '\\') {
+                flush()
+                result += char
+                continue
+            }
+            const next = text[this.#pos]
+            let match
+            if ((match = /^\d{1,3}/.exec(text.slice(this.#pos, this.#pos + 3)))) {
+                bytes.push(parseInt(match[0], 10))
+                this.#pos += match[0].length
+            } else if ((match = /^x([0-9a-fA-F]{2})/.exec(text.slice(this.#pos, this.#pos + 3)))) {
+                bytes.push(parseInt(match[1], 16))
+                this.#pos += 3
+            } else if ((match = /^u\{([0-9a-fA-F]+)\}/.exec(text.slice(this.#pos, this.#pos + 12)))) {
+                flush()
+                result += String.fromCodePoint(parseInt(match[1], 16))
+                this.#pos += match[0].length
+            } else if (next === 'z') {
+                flush()
+                this.#pos++
+                this.#pos += /^\s*/.exec(text.slice(this.#pos))[0].length
+            } else if (next === '\r' && text[this.#pos + 1] === '\n') {
+                flush()
+                result += '\n'
+                this.#pos += 2
+            } else if (next in ESCAPES) {
+                flush()
+                result += ESCAPES[next]
+                this.#pos++
+            } else {
+                throw this.#error(`Invalid escape \\${next}`)
+            }
+        }
+        flush()
+        return result
+    }
+
+    #parseLongString() {
+        const text = this.#text
+        const [open, level] = /^\[(=*)\[/.exec(text.slice(this.#pos, this.#pos + 100))
+        const close = `]${level}]`
+        const end = text.indexOf(close, this.#pos + open.length)
+        if (end < 0) throw this.#error('Unfinished long string')
+        // A newline right after the opening bracket is not part of the string
+        const value = text.slice(this.#pos + open.length, end).replace(/^\r?\n/, '')
+        this.#pos = end + close.length
+        return value
+    }
+
+    #parseNumber() {
+        const match = /^-?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/
+            .exec(this.#text.slice(this.#pos, this.#pos + 100))
+        if (!match) throw this.#error('Unexpected token')
+        this.#pos += match[0].length
+        const str = match[0]
+        return /^-?0[xX]/.test(str) ? (str.startsWith('-') ? -1 : 1) * parseInt(str.replace(/^-/, ''), 16) : Number(str)
+    }
+
+    #parseTable() {
+        this.#expect('{')
+        const entries = []
+        let arrayIndex = 1
+        while (this.#peek() !== '}') {
+            const text = this.#text
+            let key
+            if (text[this.#pos] === '[' && !/^\[=*\[/.test(text.slice(this.#pos, this.#pos + 100))) {
+                this.#pos++
+                key = this.parseValue()
+                this.#expect(']')
+                this.#expect('=')
+            } else {
+                const name = /^([A-Za-z_]\w*)\s*=(?!=)/.exec(text.slice(this.#pos, this.#pos + 200))
+                if (name) {
+                    key = name[1]
+                    this.#pos += name[0].length
+                } else {
+                    key = arrayIndex++
+                }
+            }
+            const value = this.parseValue()
+            if (value !== undefined) entries.push([key, value])
+            const separator = this.#peek()
+            if (separator === ',' || separator === ';') this.#pos++
+            else if (separator !== '}') throw this.#error('Expected "," or "}"')
+        }
+        this.#pos++
+
+        // Tables keyed 1..n become arrays, everything else objects
+        const isArray = entries.every(([key], i) => key === i + 1)
+        return isArray
+            ? entries.map(([, value]) => value)
+            : Object.fromEntries(entries.map(([key, value]) => [String(key), value]))
+    }
+
+    parseValue() {
+        const char = this.#peek()
+        const text = this.#text
+        if (char === '{') return this.#parseTable()
+        if (char === '"' || char === '\'') return this.#parseQuotedString()
+        if (char === '[') return this.#parseLongString()
+        for (const [word, value] of [['true', true], ['false', false], ['nil', undefined]]) {
+            if (new RegExp(`^${word}\\b`).test(text.slice(this.#pos, this.#pos + 6))) {
+                this.#pos += word.length
+                return value
+            }
+        }
+        return this.#parseNumber()
+    }
+
+    parseChunk() {
+        this.#expect('return')
+        const value = this.parseValue()
+        this.#skipSpace()
+        if (this.#pos < this.#text.length) throw this.#error('Unexpected text after table')
+        return value
+    }
+}
+
+/**
+ * Parse a Lua file of the form `return { ... }`
+ * @param {string} text
+ * @returns {*} the returned value, with tables as arrays or objects
+ * @throws on anything outside the supported subset
+ */
+export const parseLuaTable = (text) => new LuaParser(String(text).replace(/^\uFEFF/, '')).parseChunk()
+
+const isXPointer = (x) => typeof x === 'string' && x.startsWith('/body/')
+
+const toList = (x) => x == null ? [] : Array.isArray(x) ? x : Object.values(x)
+
+/**
+ * Split the old layout into highlights and plain bookmarks
+ * A highlighted bookmark is the highlight's entry in the bookmark list; its `text` is the
+ * user's note unless it merely repeats the highlighted text (`notes`)
+ */
+const readLegacyAnnotations = (data) => {
+    // Keyed by page number, which reads as an array when the pages are 1..n
+    const pages = Array.isArray(data.highlight)
+        ? data.highlight.map((items, i) => [i + 1, items])
+        : Object.entries(data.highlight ?? {})
+    const highlights = pages.flatMap(([page, items]) =>
+        toList(items).map(item => ({ ...item, pageno: item.pageno ?? Number(page) })))
+    const bookmarks = []
+    for (const bookmark of toList(data.bookmarks)) {
+        if (!bookmark.highlighted) {
+            bookmarks.push(bookmark)
+            continue
+        }
+        const highlight = highlights.find(x => x.pos0 === bookmark.pos0 && x.pos1 === bookmark.pos1)
+            ?? highlights.find(x => x.datetime === bookmark.datetime)
+        const note = bookmark.text
+        if (highlight && note && note !== bookmark.notes && note !== highlight.text) highlight.note = note
+    }
+    return { highlights, bookmarks }
+}
+
+/**
+ * Read the annotations, bookmarks and position from a KOReader sidecar file
+ * @param {string} text - Contents of metadata.epub.lua
+ * @returns {Object} { highlights, bookmarks, lastXPointer, percentFinished, title }
+ *   highlights: { pos0, pos1, text, note, chapter, drawer, color, datetime, pageno }
+ *   bookmarks: { page, text, chapter, datetime, pageno }
+ */
+export const readKOReaderSidecar = (text) => {
+    const data = parseLuaTable(text)
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not a KOReader sidecar file')
+
+    let highlights
+    let bookmarks
+    if (data.annotations) {
+        // A bookmark has only a page; a highlight also has the two ends of its range
+        const annotations = toList(data.annotations)
+        highlights = annotations.filter(x => x.pos0 != null)
+        bookmarks = annotations.filter(x => x.pos0 == null)
+    } else {
+        ({ highlights, bookmarks } = readLegacyAnnotations(data))
+    }
+
+    return {
+        highlights: highlights.map(x => ({
+            pos0: x.pos0,
+            pos1: x.pos1,
+            text: x.text ?? null,
+            note: x.note ?? null,
+            chapter: x.chapter ?? null,
+            drawer: x.drawer ?? null,
+            color: x.color ?? null,
+            datetime: x.datetime_updated ?? x.datetime ?? null,
+            pageno: x.pageno ?? null,
+        })),
+        bookmarks: bookmarks.map(x => ({
+            page: x.page,
+            text: x.text ?? x.notes ?? null,
+            chapter: x.chapter ?? null,
+            datetime: x.datetime ?? null,
+            pageno: x.pageno ?? null,
+        })),
+        lastXPointer: isXPointer(data.last_xpointer) ? data.last_xpointer : null,
+        percentFinished: typeof data.percent_finished === 'number' ? data.percent_finished : null,
+        title: data.doc_props?.title ?? null,
+    }
+}
@@ -49,6 +49,15 @@ export class Overlayer {
         }
         return []
     }
+    // every item at the point, smallest range first (most recently added first on ties)
+    hitTestAll({ x, y }) {
+        const hits = []
+        for (const [key, obj] of Array.from(this.#map.entries()).reverse())
+            if (Array.from(obj.rects).some(({ left, top, right, bottom }) =>
+                top <= y && left <= x && bottom > y && right > x))
+                hits.push([key, obj.range, obj.range.toString().length])
+        return hits.sort((a, b) => a[2] - b[2]).map(([key, range]) => [key, range])
+    }
     static underline(rects, options = {}) {
         const { color = 'red', width: strokeWidth = 2, writingMode } = options
         const g = createSVGElement('g')
@@ -156,6 +165,47 @@ export class Overlayer {
         }
         return g
     }
+    // mark an annotation that has a note: a dot after its last line ('superscript'),
+    // or a small note icon beside its first line ('margin'), at `marginX` if given
+    static noteIndicator(rects, options = {}) {
+        const { color = 'red', size = 8, position = 'superscript', marginX, writingMode } = options
+        const g = createSVGElement('g')
+        g.setAttribute('fill', color)
+        g.style.opacity = 'var(--overlayer-note-opacity, 1)'
+        g.style.mixBlendMode = 'var(--overlayer-note-blend-mode, normal)'
+        const vertical = writingMode === 'vertical-rl' || writingMode === 'vertical-lr'
+        const first = rects[0]
+        const last = rects[rects.length - 1]
+        if (!first) return g
+        if (position === 'margin') {
+            const x = vertical ? first.left : marginX ?? first.left - size * 1.5
+            const y = vertical ? marginX ?? first.top - size * 1.5 : first.top
+            const icon = createSVGElement('rect')
+            icon.setAttribute('x', x)
+            icon.setAttribute('y', y)
+            icon.setAttribute('width', size)
+            icon.setAttribute('height', size * 1.25)
+            icon.setAttribute('rx', size / 5)
+            g.append(icon)
+            // two "lines of text" cut out of the icon
+            for (const i of [1, 2]) {
+                const line = createSVGElement('rect')
+                line.setAttribute('x', x + size / 4)
+                line.setAttribute('y', y + size * 1.25 * i / 3)
+                line.setAttribute('width', size / 2)
+                line.setAttribute('height', Math.max(size / 10, 1))
+                line.setAttribute('fill', 'var(--overlayer-note-cutout, white)')
+                g.append(line)
+            }
+            return g
+        }
+        const dot = createSVGElement('circle')
+        dot.setAttribute('r', size / 2)
+        dot.setAttribute('cx', last.right + size / 2)
+        dot.setAttribute('cy', (vertical ? last.bottom : last.top) + size / 2)
+        g.append(dot)
+        return g
+    }
     // make an exact copy of an image in the overlay
     // one can then apply filters to the entire element, without affecting them;
     // it's a bit silly and probably better to just invert images twice
@@ -0,0 +1,109 @@
+/**
+ * Pagination Module
+ *
+ * Counts the real pages of every section by laying the book out off-screen in a hidden
+ * paginator with the same size, layout attributes and styles as the visible one
+ * SectionProgress only estimates pages from byte sizes; these counts match what the reader
+ * actually turns through at the current font and layout
+ *
+ * The hidden paginator shares the book's sections, and so their blob URLs, with the visible
+ * one. Loading a section that is already loaded does not always add a reference: epub.js
+ * counts a section once per parent, and sections have none, so the count isn't raised again
+ * after the first time. Unloading it here would then revoke the URLs of the page on screen,
+ * so sections the visible renderer shows are left loaded
+ */
+
+// Attributes the paginator observes; copied from the visible renderer
+const LAYOUT_ATTRIBUTES = ['flow', 'gap', 'margin', 'max-inline-size', 'max-block-size', 'max-column-count']
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve))
+
+/**
+ * Create an invisible paginator the same size as the visible renderer
+ */
+const createHiddenPaginator = (renderer) => {
+    const { width, height } = renderer.getBoundingClientRect()
+    const paginator = document.createElement('foliate-paginator')
+    Object.assign(paginator.style, {
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        width: `${width}px`,
+        height: `${height}px`,
+        visibility: 'hidden',
+        pointerEvents: 'none',
+        zIndex: '-1',
+    })
+    paginator.setAttribute('aria-hidden', 'true')
+    for (const name of LAYOUT_ATTRIBUTES) {
+        const value = renderer.getAttribute(name)
+        if (value != null) paginator.setAttribute(name, value)
+    }
+    return paginator
+}
+
+/**
+ * The book's sections, but unloading one that the visible renderer shows does nothing
+ */
+const shareSections = (sections, renderer) => sections.map((section, index) => ({
+    ...section,
+    unload: () => {
+        if (renderer.getContents?.().some(x => x.index === index)) return
+        return section.unload?.()
+    },
+}))
+
+/**
+ * Count the pages of every section at the current layout
+ * @param {Object} book - The open book
+ * @param {HTMLElement} renderer - The visible paginator, whose size and attributes are copied
+ * @param {Object} options - { styles, onLoad, signal, onProgress }
+ *   styles: CSS given to renderer.setStyles(); onLoad({ doc, index }) prepares each document
+ * @returns {number[]} pages per section; 0 for non-linear or failed sections
+ */
+export const countSectionPages = async (book, renderer, options = {}) => {
+    const { styles, onLoad, signal, onProgress } = options
+    await import('./paginator.js')
+
+    const paginator = createHiddenPaginator(renderer)
+    // open() would register a second CSS transform on the book; the visible paginator has one
+    paginator.bookDir = book.dir
+    paginator.sections = shareSections(book.sections, renderer)
+    if (onLoad) paginator.addEventListener('load', e => onLoad(e.detail))
+    // Kept and applied to each section as it loads
+    paginator.setStyles(styles)
+    document.body.append(paginator)
+
+    const counts = []
+    try {
+        for (const [index, section] of book.sections.entries()) {
+            signal?.throwIfAborted()
+            if (section.linear === 'no') {
+                counts.push(0)
+                continue
+            }
+            try {
+                await paginator.goTo({ index })
+                // Wait for web fonts and the column reflow they cause
+                const doc = paginator.getContents()[0]?.doc
+                await doc?.fonts?.ready
+                await nextFrame()
+                await nextFrame()
+                // pages includes a blank page on each side of the text
+                counts.push(Math.max(paginator.pages - 2, 1))
+            } catch (e) {
+                console.warn(e)
+                counts.push(0)
+            }
+            onProgress?.({ index, total: book.sections.length })
+        }
+    } finally {
+        try {
+            paginator.destroy()
+        } catch {
+            // Nothing was loaded
+        }
+        paginator.remove()
+    }
+    return counts
+}
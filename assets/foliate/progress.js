@@ -48,7 +48,9 @@ export class TOCProgress {
         for (const [i, { fragment }] of items.entries()) {
             const el = this.getFragment(doc, fragment)
             if (!el) continue
-            if (range.comparePoint(el, 0) > 0)
+            // fragments may also resolve to ranges, e.g. CFIs in a page list
+            const [node, offset] = el.nodeType ? [el, 0] : [el.startContainer, el.startOffset]
+            if (range.comparePoint(node, offset) > 0)
                 return (items[i - 1]?.item ?? prev)
         }
         return items[items.length - 1].item
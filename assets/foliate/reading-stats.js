@@ -0,0 +1,310 @@
+/**
+ * Reading Stats Module
+ *
+ * Time and word based reading statistics for one reading session
+ * Every relocation closes the page being left (how long it was shown, how many words it
+ * had) and opens the new one; from that comes a rolling words-per-minute estimate and
+ * the time left in the chapter and in the book
+ *
+ * Words are counted in the rendered text with text-walker.js and Intl.Segmenter, so CJK
+ * text is counted by words rather than by spaces. Sections that have not been rendered
+ * are estimated from their byte size, using the words-per-byte of the ones that have
+ */
+
+import { textWalker } from './text-walker.js'
+
+const DEFAULT_WPM = 250
+const DEFAULT_WORDS_PER_BYTE = 1 / 8
+const MIN_WPM_SAMPLE_MS = 30 * 1000
+
+const segmenters = new Map()
+const getSegmenter = (lang) => {
+    const key = lang || ''
+    if (!segmenters.has(key)) {
+        let segmenter = null
+        try {
+            segmenter = new Intl.Segmenter(lang || undefined, { granularity: 'word' })
+        } catch {
+            // No Intl.Segmenter (or unknown locale); fall back to splitting on whitespace
+        }
+        segmenters.set(key, segmenter)
+    }
+    return segmenters.get(key)
+}
+
+const countText = (text, segmenter) => {
+    if (!segmenter) return text.split(/\s+/).filter(Boolean).length
+    let count = 0
+    for (const { isWordLike } of segmenter.segment(text)) if (isWordLike) count++
+    return count
+}
+
+/**
+ * Count the words in a range or document
+ */
+export const countWords = (x, lang) => {
+    const segmenter = getSegmenter(lang)
+    const func = function* (strs) {
+        yield countText(strs.join(' '), segmenter)
+    }
+    for (const count of textWalker(x, func)) return count
+    return 0
+}
+
+/**
+ * Word counts of a document's text nodes with running totals, so the words before any
+ * point can be looked up without segmenting the text again
+ */
+class WordIndex {
+    #nodes = []
+    #totals = [0] // words in the nodes before each index
+    #segmenter
+
+    constructor(doc, lang) {
+        this.#segmenter = getSegmenter(lang)
+        // textWalker only hands out ranges; their start containers are the text nodes
+        const func = function* (strs, makeRange) {
+            for (const [i, str] of strs.entries()) yield [makeRange(i, 0, i, 0).startContainer, str]
+        }
+        for (const [node, str] of textWalker(doc, func)) {
+            this.#nodes.push(node)
+            this.#totals.push(this.#totals.at(-1) + countText(str, this.#segmenter))
+        }
+    }
+
+    get words() {
+        return this.#totals.at(-1)
+    }
+
+    /**
+     * Words before a boundary point of the document
+     */
+    wordsBefore(container, offset) {
+        const point = container.ownerDocument.createRange()
+        point.setStart(container, offset)
+        // First text node that doesn't start before the point
+        let low = 0
+        let high = this.#nodes.length
+        while (low < high) {
+            const mid = (low + high) >> 1
+            if (point.comparePoint(this.#nodes[mid], 0) < 0) low = mid + 1
+            else high = mid
+        }
+        const node = this.#nodes[low - 1]
+        if (node !== container) return this.#totals[low]
+        return this.#totals[low - 1] + countText(node.nodeValue.slice(0, offset), this.#segmenter)
+    }
+}
+
+export class ReadingStats {
+    #startedAt
+    #options
+    #page = null // { cfi, index, label, chapterKey, words, start, elapsed }
+    #recent = [] // last page visits used for words per minute: { words, ms }
+    #chapters = new Map() // chapter key -> { label, ms, words, pages }
+    #readPages = new Set() // CFIs already counted as read
+    #sectionWords = new Map() // section index -> { words, size }
+    #wordIndexes = new WeakMap() // section document -> WordIndex
+    #pages = new Map() // CFI -> { cfi, index, label, chapter, ms, words, visits }, for per-page time
+    #wordsRead = 0
+    #activeMs = 0
+    #pagesTurned = 0
+
+    /**
+     * @param {Object} options - { minPageMs, maxPageMs, window, defaultWPM }
+     *   Pages shown shorter than minPageMs are skimmed, not read; time on a page is capped
+     *   at maxPageMs so a reader who walked away doesn't drag the speed down
+     */
+    constructor({ minPageMs = 2000, maxPageMs = 10 * 60 * 1000, window = 20, defaultWPM = DEFAULT_WPM } = {}) {
+        this.#options = { minPageMs, maxPageMs, window, defaultWPM }
+        this.#startedAt = Date.now()
+    }
+
+    get wpm() {
+        const words = this.#recent.reduce((sum, x) => sum + x.words, 0)
+        const ms = this.#recent.reduce((sum, x) => sum + x.ms, 0)
+        if (ms < MIN_WPM_SAMPLE_MS || !words) return this.#options.defaultWPM
+        return Math.round(words / (ms / 60000))
+    }
+
+    #elapsed(now) {
+        const page = this.#page
+        if (!page) return 0
+        return page.elapsed + (page.start != null ? now - page.start : 0)
+    }
+
+    #closePage(now) {
+        const page = this.#page
+        if (!page) return
+        const { minPageMs, maxPageMs, window } = this.#options
+        const ms = this.#elapsed(now)
+        const counted = Math.min(ms, maxPageMs)
+
+        const chapter = this.#chapters.get(page.chapterKey)
+        this.#activeMs += counted
+        this.#pagesTurned++
+        chapter.ms += counted
+        chapter.pages++
+
+        if (!this.#pages.has(page.cfi)) this.#pages.set(page.cfi, {
+            cfi: page.cfi, index: page.index, label: page.label, chapter: chapter.label,
+            ms: 0, words: page.words, visits: 0,
+        })
+        const visited = this.#pages.get(page.cfi)
+        visited.ms += counted
+        visited.visits++
+
+        if (ms >= minPageMs && !this.#readPages.has(page.cfi)) {
+            this.#readPages.add(page.cfi)
+            this.#wordsRead += page.words
+            chapter.words += page.words
+        }
+        if (ms >= minPageMs && ms <= maxPageMs && page.words) {
+            this.#recent.push({ words: page.words, ms })
+            if (this.#recent.length > window) this.#recent.shift()
+        }
+        this.#page = null
+    }
+
+    #wordsPerByte() {
+        let words = 0
+        let size = 0
+        for (const x of this.#sectionWords.values()) {
+            words += x.words
+            size += x.size
+        }
+        return size > 0 && words > 0 ? words / size : DEFAULT_WORDS_PER_BYTE
+    }
+
+    #estimateSectionWords(book, index) {
+        const section = book.sections[index]
+        if (!section || section.linear === 'no') return 0
+        return this.#sectionWords.get(index)?.words
+            ?? Math.round((section.size ?? 0) * this.#wordsPerByte())
+    }
+
+    #getWordIndex(doc, lang) {
+        if (!this.#wordIndexes.has(doc)) this.#wordIndexes.set(doc, new WordIndex(doc, lang))
+        return this.#wordIndexes.get(doc)
+    }
+
+    /**
+     * Record a relocation and return the statistics for the new location
+     * @param {Object} view - The foliate view
+     * @param {Object} location - `relocate` event detail
+     */
+    update(view, location, now = Date.now()) {
+        const { book } = view
+        const { cfi, range, tocItem, pageItem } = location
+        const index = location.section?.current ?? view.renderer?.getContents?.()[0]?.index
+        const lang = view.language?.canonical
+        // Each section document is counted once; later pages only look up their position
+        const doc = range?.startContainer?.ownerDocument
+        const wordIndex = doc ? this.#getWordIndex(doc, lang) : null
+
+        // Re-layouts relocate to the same place; that is not a page turn
+        if (!this.#page || this.#page.cfi !== cfi) {
+            this.#closePage(now)
+
+            if (wordIndex && index != null && !this.#sectionWords.has(index)) {
+                this.#sectionWords.set(index, {
+                    words: wordIndex.words,
+                    size: book.sections[index]?.size ?? 0,
+                })
+            }
+
+            const chapterKey = tocItem?.id ?? `section:${index}`
+            if (!this.#chapters.has(chapterKey)) this.#chapters.set(chapterKey, {
+                label: tocItem?.label ?? null, ms: 0, words: 0, pages: 0,
+            })
+            this.#page = {
+                cfi, index, chapterKey,
+                label: pageItem?.label ?? null,
+                words: range ? countWords(range, lang) : 0,
+                start: document.visibilityState === 'hidden' ? null : now,
+                elapsed: 0,
+            }
+        }
+
+        // Words after this page: the rest of the section, then whole sections
+        const leftInSection = wordIndex
+            ? Math.max(0, wordIndex.words - wordIndex.wordsBefore(range.endContainer, range.endOffset))
+            : 0
+        let leftInChapter = leftInSection
+        let leftInBook = leftInSection
+        let sameChapter = !!tocItem
+        for (let i = index + 1; i < book.sections.length; i++) {
+            const words = this.#estimateSectionWords(book, i)
+            leftInBook += words
+            if (sameChapter && book.sections[i].linear !== 'no') {
+                sameChapter = view.getProgressOf(i)?.tocItem?.id === tocItem.id
+                if (sameChapter) leftInChapter += words
+            }
+        }
+
+        const { wpm } = this
+        const chapter = this.#chapters.get(this.#page.chapterKey)
+        return {
+            wordsOnPage: this.#page.words,
+            wordsRead: this.#wordsRead,
+            wpm,
+            chapterSeconds: Math.round(chapter.ms / 1000),
+            wordsLeftInChapter: leftInChapter,
+            wordsLeftInBook: leftInBook,
+            minutesLeftInChapter: Math.round(leftInChapter / wpm * 10) / 10,
+            minutesLeftInBook: Math.round(leftInBook / wpm * 10) / 10,
+        }
+    }
+
+    /**
+     * Stop the clock, e.g. while the app is in the background
+     */
+    pause(now = Date.now()) {
+        const page = this.#page
+        if (!page || page.start == null) return
+        page.elapsed += now - page.start
+        page.start = null
+    }
+
+    resume(now = Date.now()) {
+        if (this.#page && this.#page.start == null) this.#page.start = now
+    }
+
+    /**
+     * Totals for the session so far, including the page being read
+     * `pages` has the time spent on each page, in the order they were first shown:
+     * { cfi, index, label, chapter, words, visits, seconds }, label being the page list label
+     */
+    getSummary(now = Date.now()) {
+        const current = this.#page ? Math.min(this.#elapsed(now), this.#options.maxPageMs) : 0
+        const chapters = Array.from(this.#chapters.values(), ({ label, ms, words, pages }) => ({
+            label, seconds: Math.round(ms / 1000), words, pages,
+        }))
+        if (this.#page) {
+            const key = Array.from(this.#chapters.keys()).indexOf(this.#page.chapterKey)
+            chapters[key].seconds += Math.round(current / 1000)
+        }
+        const pages = Array.from(this.#pages.values(), ({ ms, ...page }) => ({
+            ...page, seconds: Math.round(ms / 1000),
+        }))
+        if (this.#page) {
+            const page = pages.find(x => x.cfi === this.#page.cfi)
+            if (page) page.seconds += Math.round(current / 1000)
+            else pages.push({
+                cfi: this.#page.cfi, index: this.#page.index, label: this.#page.label,
+                chapter: this.#chapters.get(this.#page.chapterKey).label,
+                words: this.#page.words, visits: 1, seconds: Math.round(current / 1000),
+            })
+        }
+        return {
+            startedAt: this.#startedAt,
+            durationSeconds: Math.round((now - this.#startedAt) / 1000),
+            activeSeconds: Math.round((this.#activeMs + current) / 1000),
+            pagesTurned: this.#pagesTurned,
+            wordsRead: this.#wordsRead,
+            wpm: this.wpm,
+            chapters,
+            pages,
+        }
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Remote File Module
+ *
+ * Blob-like view of a book that Flutter serves over HTTP range requests
+ * foliate-js only reads books through `size`, `slice(start, end).arrayBuffer()` and
+ * `arrayBuffer()`, so handing a RemoteFile to view.open() makes zip.js, pdf.js and the
+ * MOBI parser pull only the entries, chunks and records they actually render
+ *
+ * The endpoint must answer `Range: bytes=start-end` with 206 Partial Content and report
+ * the total size either in `Content-Range` or, for HEAD requests, in `Content-Length`
+ */
+
+export class RangeRequestError extends Error { }
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024
+const DEFAULT_CACHE_CHUNKS = 64
+
+/**
+ * Parse the total size out of a `Content-Range: bytes 0-0/12345` header
+ */
+const parseContentRangeSize = (header) => {
+    const match = header?.match(/\/(\d+)\s*$/)
+    return match ? parseInt(match[1], 10) : null
+}
+
+/**
+ * Resolve Blob.slice()-style arguments (negative values count from the end)
+ */
+const clampRange = (start, end, size) => {
+    const resolve = (x, fallback) => {
+        if (x === undefined || x === null) return fallback
+        const n = Math.trunc(Number(x)) || 0
+        return n < 0 ? Math.max(size + n, 0) : Math.min(n, size)
+    }
+    const from = resolve(start, 0)
+    const to = resolve(end, size)
+    return [from, Math.max(from, to)]
+}
+
+/**
+ * Lazily fetched byte ranges of one URL, cached in fixed-size chunks
+ */
+class RangeLoader {
+    #url
+    #headers
+    #chunkSize
+    #cacheChunks
+    #cache = new Map() // chunk index -> Promise<Uint8Array>, in least recently used order
+    constructor(url, { headers = {}, chunkSize = DEFAULT_CHUNK_SIZE, cacheChunks = DEFAULT_CACHE_CHUNKS } = {}) {
+        this.#url = url
+        this.#headers = headers
+        this.#chunkSize = chunkSize
+        this.#cacheChunks = cacheChunks
+    }
+    async fetchRange(start, end) {
+        if (end <= start) return new Uint8Array(0)
+        const res = await fetch(this.#url, {
+            headers: { ...this.#headers, Range: `bytes=${start}-${end - 1}` },
+        })
+        if (!res.ok) throw new RangeRequestError(
+            `${res.status} ${res.statusText} for bytes ${start}-${end - 1}`, { cause: res })
+        const buffer = new Uint8Array(await res.arrayBuffer())
+        // A server that ignores Range sends the whole file with 200
+        if (res.status === 200 && buffer.byteLength > end - start) return buffer.slice(start, end)
+        return buffer
+    }
+    #getChunk(index, size) {
+        const cached = this.#cache.get(index)
+        if (cached) {
+            // Move to the most recently used end
+            this.#cache.delete(index)
+            this.#cache.set(index, cached)
+            return cached
+        }
+        const start = index * this.#chunkSize
+        const promise = this.fetchRange(start, Math.min(start + this.#chunkSize, size))
+        promise.catch(() => this.#cache.delete(index))
+        this.#cache.set(index, promise)
+        while (this.#cache.size > this.#cacheChunks) {
+            this.#cache.delete(this.#cache.keys().next().value)
+        }
+        return promise
+    }
+    async read(start, end, size) {
+        const length = end - start
+        if (length <= 0) return new ArrayBuffer(0)
+
+        // Large reads (images, whole PDF streams) bypass the chunk cache so they don't evict it
+        if (length > (this.#chunkSize * this.#cacheChunks) / 2) {
+            return (await this.fetchRange(start, end)).buffer
+        }
+
+        const first = Math.floor(start / this.#chunkSize)
+        const last = Math.floor((end - 1) / this.#chunkSize)
+        const chunks = []
+        for (let i = first; i <= last; i++) chunks.push(this.#getChunk(i, size))
+
+        const result = new Uint8Array(length)
+        let offset = 0
+        for (const [i, chunk] of (await Promise.all(chunks)).entries()) {
+            const chunkStart = (first + i) * this.#chunkSize
+            const from = Math.max(start - chunkStart, 0)
+            const to = Math.min(end - chunkStart, chunk.byteLength)
+            result.set(chunk.subarray(from, to), offset)
+            offset += to - from
+        }
+        return result.buffer
+    }
+}
+
+/**
+ * A byte range of a RemoteFile; reading it fetches only that range
+ */
+class RemoteBlob {
+    #loader
+    #start
+    #end
+    #total
+    constructor(loader, start, end, total, type = '') {
+        this.#loader = loader
+        this.#start = start
+        this.#end = end
+        this.#total = total
+        this.type = type
+    }
+    get size() {
+        return this.#end - this.#start
+    }
+    slice(start, end, type) {
+        const [from, to] = clampRange(start, end, this.size)
+        return new RemoteBlob(this.#loader, this.#start + from, this.#start + to, this.#total, type ?? '')
+    }
+    arrayBuffer() {
+        return this.#loader.read(this.#start, this.#end, this.#total)
+    }
+    async text() {
+        return new TextDecoder().decode(await this.arrayBuffer())
+    }
+    async bytes() {
+        return new Uint8Array(await this.arrayBuffer())
+    }
+}
+
+/**
+ * File-like object for a book served over HTTP range requests
+ */
+export class RemoteFile extends RemoteBlob {
+    constructor(url, { size, name, type, ...options }) {
+        const loader = new RangeLoader(url, options)
+        super(loader, 0, size, size, type ?? '')
+        this.url = url
+        this.name = name ?? new URL(url, location.href).pathname.split('/').pop()
+        this.lastModified = Date.now()
+    }
+
+    /**
+     * Create a RemoteFile, asking the server for the size if it isn't known
+     * @param {string} url - Endpoint Flutter serves the book from
+     * @param {Object} options - { size, name, type, headers, chunkSize, cacheChunks }
+     */
+    static async open(url, options = {}) {
+        let { size } = options
+        if (!(size > 0)) {
+            const headers = options.headers ?? {}
+            const head = await fetch(url, { method: 'HEAD', headers }).catch(() => null)
+            size = head?.ok ? parseInt(head.headers.get('Content-Length'), 10) : NaN
+            if (!(size > 0)) {
+                // Some servers don't answer HEAD; a one-byte range reports the size too
+                const res = await fetch(url, { headers: { ...headers, Range: 'bytes=0-0' } })
+                if (!res.ok) throw new RangeRequestError(
+                    `${res.status} ${res.statusText} for ${url}`, { cause: res })
+                size = parseContentRangeSize(res.headers.get('Content-Range'))
+                    ?? parseInt(res.headers.get('Content-Length'), 10)
+                await res.body?.cancel()
+            }
+        }
+        if (!(size > 0)) throw new RangeRequestError(`Could not determine size of ${url}`)
+        return new RemoteFile(url, { ...options, size })
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Synthetic Pages Module
+ *
+ * Stable page numbers for books that have no page-list nav
+ * A page is a fixed number of characters of the book's text, counted in the source documents
+ * rather than the rendered layout, so page 112 is the same place on every device, screen size
+ * and font size
+ *
+ * Counting rules (changing them changes every page number, so bump CACHE_VERSION):
+ * - only linear sections are counted, each one starts on a new page
+ * - runs of whitespace count as one character, leading whitespace of a section is skipped
+ * - script and style contents are ignored (text-walker.js does this)
+ *
+ * Pages are returned as a page list ({ label, href }) whose hrefs are CFIs, ready for
+ * View.setPageList() and the TOCProgress machinery behind `pageItem`
+ */
+
+import * as CFI from './epubcfi.js'
+import { textWalker } from './text-walker.js'
+
+export const DEFAULT_CHARS_PER_PAGE = 1800
+
+const CACHE_VERSION = 2
+const CACHE_PREFIX = 'everbound-synthetic-pages'
+const memoryCache = new Map()
+
+/**
+ * Identify a book by its identifier and the shape of its spine
+ * Two editions sharing an identifier still differ in section count or sizes
+ */
+const getCacheKey = (book, charsPerPage) => {
+    const { identifier } = book.metadata ?? {}
+    const sizes = book.sections.map(section => section.size ?? 0).join(',')
+    return `${CACHE_PREFIX}:${CACHE_VERSION}:${charsPerPage}:${identifier ?? ''}:${sizes}`
+}
+
+const readStorage = (key) => {
+    try {
+        const value = localStorage.getItem(key)
+        return value ? JSON.parse(value) : null
+    } catch {
+        return null
+    }
+}
+
+const writeStorage = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value))
+    } catch {
+        // Storage full or unavailable; the memory cache still covers this session
+    }
+}
+
+/**
+ * Find where each page starts in a section document
+ * @param {Document} doc - Source document of the section
+ * @param {number} charsPerPage - Characters per page
+ * @returns {Range[]} collapsed ranges, one per page start after the first
+ */
+const findPageBreaks = (doc, charsPerPage) => {
+    const breaks = []
+    const body = doc.body ?? doc.documentElement
+    if (!body) return breaks
+
+    const func = function* (strs, makeRange) {
+        let count = 0
+        let prevSpace = true // skips leading whitespace
+        for (const [i, str] of strs.entries()) {
+            for (let j = 0; j < str.length; j++) {
+                const isSpace = /\s/.test(str[j])
+                if (isSpace && prevSpace) continue
+                prevSpace = isSpace
+                if (count > 0 && count % charsPerPage === 0) yield makeRange(i, j, i, j)
+                count++
+            }
+        }
+    }
+    for (const range of textWalker(body, func)) breaks.push(range)
+    return breaks
+}
+
+/**
+ * Compute the synthetic page list of a book
+ * @param {Object} book - Book from makeBook()
+ * @param {Object} options - { charsPerPage, signal, onProgress }
+ * @returns {Array} [{ label, href }]
+ */
+export const makeSyntheticPageList = async (book, options = {}) => {
+    const { charsPerPage = DEFAULT_CHARS_PER_PAGE, signal, onProgress } = options
+    const pages = []
+    const sections = book.sections ?? []
+    for (const [index, section] of sections.entries()) {
+        signal?.throwIfAborted()
+        if (section.linear === 'no' || !section.createDocument) continue
+
+        const doc = await section.createDocument()
+        const baseCFI = section.cfi ?? CFI.fake.fromIndex(index)
+        // The first page points into the document too, so it resolves like any other page
+        const start = doc.createRange()
+        start.selectNodeContents(doc.body ?? doc.documentElement)
+        start.collapse(true)
+        pages.push({ label: String(pages.length + 1), href: CFI.joinIndir(baseCFI, CFI.fromRange(start)) })
+        for (const range of findPageBreaks(doc, charsPerPage)) {
+            pages.push({
+                label: String(pages.length + 1),
+                href: CFI.joinIndir(baseCFI, CFI.fromRange(range)),
+            })
+        }
+        onProgress?.({ index, total: sections.length, pages: pages.length })
+
+        // Let rendering and input handling run between sections
+        await new Promise(resolve => setTimeout(resolve))
+    }
+    return pages
+}
+
+/**
+ * Return the cached synthetic page list of a book, if there is one
+ */
+export const getCachedSyntheticPageList = (book, charsPerPage = DEFAULT_CHARS_PER_PAGE) => {
+    const key = getCacheKey(book, charsPerPage)
+    if (!memoryCache.has(key)) {
+        const stored = readStorage(key)
+        if (!stored) return null
+        memoryCache.set(key, stored)
+    }
+    // Copies, since TOCProgress numbers the items it is given
+    return memoryCache.get(key).map(({ label, href }) => ({ label, href }))
+}
+
+/**
+ * Return the synthetic page list of a book, computing and caching it if needed
+ * @param {Object} book - Book from makeBook()
+ * @param {Object} options - { charsPerPage, signal, onProgress }
+ */
+export const getSyntheticPageList = async (book, options = {}) => {
+    const { charsPerPage = DEFAULT_CHARS_PER_PAGE } = options
+    const cached = getCachedSyntheticPageList(book, charsPerPage)
+    if (cached) return cached
+
+    const pages = await makeSyntheticPageList(book, { ...options, charsPerPage })
+    const key = getCacheKey(book, charsPerPage)
+    memoryCache.set(key, pages.map(({ label, href }) => ({ label, href })))
+    writeStorage(key, pages)
+    return pages
+}
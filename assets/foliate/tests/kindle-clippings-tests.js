@@ -0,0 +1,84 @@
+import { parseClippingDate, parseKindleClippings } from '../kindle-clippings.js'
+
+const SEPARATOR = '=========='
+const clipping = (title, metadata, text) => `${title}\r\n${metadata}\r\n\r\n${text}\r\n${SEPARATOR}\r\n`
+const local = (...args) => new Date(...args).toISOString()
+
+{
+    // one highlight per locale: type, page, location and date
+    const date = local(2019, 2, 4, 22, 23, 45)
+    for (const [locale, metadata, page] of [
+        ['en', '- Your Highlight on page 12 | Location 170-172 | Added on Monday, March 4, 2019 10:23:45 PM', '12'],
+        ['de', '- Ihre Markierung auf Seite 12 | Position 170-172 | Hinzugefügt am Montag, 4. März 2019 22:23:45', '12'],
+        ['fr', '- Votre surlignement sur la page 12 | emplacement 170-172 | Ajouté le lundi 4 mars 2019 22:23:45', '12'],
+        ['es', '- Tu subrayado en la página 12 | posición 170-172 | Añadido el lunes, 4 de marzo de 2019 22:23:45', '12'],
+        ['it', '- La tua evidenziazione a pagina 12 | posizione 170-172 | Aggiunto in data lunedì 4 marzo 2019 22:23:45', '12'],
+        ['pt', '- Seu destaque na página 12 | posição 170-172 | Adicionado: segunda-feira, 4 de março de 2019 22:23:45', '12'],
+        ['nl', '- Uw markering op pagina 12 | locatie 170-172 | Toegevoegd op maandag 4 maart 2019 22:23:45', '12'],
+        ['ja', '- 12ページ|位置No. 170-172のハイライト |作成日: 2019年3月4日月曜日 22:23:45', '12'],
+        ['zh', '- 您在位置 #170-172的标注 | 添加于 2019年3月4日星期一 下午10:23:45', null],
+        ['ru', '- Ваш выделенный отрывок на странице 12 | место 170-172 | Добавлено: понедельник, 4 марта 2019 г. в 22:23:45', '12'],
+        ['pl', '- Twoje podkreślenie na stronie 12 | pozycja 170-172 | Dodano: poniedziałek, 4 marca 2019 22:23:45', '12'],
+        ['cs', '- Vaše zvýraznění na stránce 12 | pozice 170-172 | Přidáno: pondělí 4. března 2019 22:23:45', '12'],
+    ]) {
+        const [book] = parseKindleClippings(clipping('Title (Author)', metadata, 'Highlighted text'))
+        const [x] = book?.clippings ?? []
+        const a = JSON.stringify([x?.type, x?.page, x?.location, x?.created, x?.text])
+        const b = JSON.stringify(['highlight', page, { start: 170, end: 172 }, date, 'Highlighted text'])
+        console.assert(a === b, `${locale}: expected ${b}, got ${a}`)
+    }
+}
+
+{
+    // date formats
+    for (const [str, date] of [
+        ['Added on Monday, March 4, 2019 10:23:45 PM', local(2019, 2, 4, 22, 23, 45)],
+        ['Added on Monday, March 4, 2019 12:05:00 AM', local(2019, 2, 4, 0, 5, 0)],
+        ['Added on Monday, March 4, 2019 12:05:00 PM', local(2019, 2, 4, 12, 5, 0)],
+        ['Added on Thursday, April 21, 2011, 10:53 AM', local(2011, 3, 21, 10, 53, 0)],
+        ['Added on Thursday, 21 April 2011 10:53:00', local(2011, 3, 21, 10, 53, 0)],
+        ['Añadido el jueves, 21 de abril de 2011 10:53:00', local(2011, 3, 21, 10, 53, 0)],
+        ['Hinzugefügt am Donnerstag, 21. April 2011 10:53:00', local(2011, 3, 21, 10, 53, 0)],
+        ['作成日: 2011年4月21日木曜日 午前10:53:00', local(2011, 3, 21, 10, 53, 0)],
+        ['添加于 2011年4月21日星期四 上午12:53:00', local(2011, 3, 21, 0, 53, 0)],
+        ['Added on 21/04/2011 10:53:00', null],
+        ['Added on Thursday', null],
+        ['', null],
+    ]) {
+        const result = parseClippingDate(str)
+        console.assert(result === date, `${str}: expected ${date}, got ${result}`)
+    }
+}
+
+{
+    // notes fold into their highlights, edited highlights replace the earlier clipping,
+    // and clippings are grouped by book in the order the books first appear
+    const text = '﻿' + [
+        clipping('Book One (Ann Author)', '- Your Highlight on page 1 | Location 10-12 | Added on Monday, March 4, 2019 10:00:00 AM', 'The first words'),
+        clipping('Book Two (Bob Writer)', '- Your Bookmark on page 5 | Location 80 | Added on Monday, March 4, 2019 10:01:00 AM', ''),
+        clipping('Book One (Ann Author)', '- Your Note on page 1 | Location 12 | Added on Monday, March 4, 2019 10:02:00 AM', 'My note'),
+        clipping('Book One (Ann Author)', '- Your Highlight on page 1 | Location 10-13 | Added on Monday, March 4, 2019 10:03:00 AM', 'The first words, extended'),
+        clipping('Book One (Ann Author)', '- Your Highlight on page 2 | Location 5-6 | Added on Monday, March 4, 2019 10:04:00 AM', 'Earlier text'),
+        clipping('Book One (Ann Author)', '- Your Note on page 9 | Location 300 | Added on Monday, March 4, 2019 10:05:00 AM', 'A lone note'),
+        clipping('Book (Vol. 2) (Cy Ng)', '- Your Highlight on page 3 | Location 1170-72 | Added on Monday, March 4, 2019 10:06:00 AM', 'Shortened location'),
+        'not a clipping\r\n' + SEPARATOR,
+    ].join('')
+    const books = parseKindleClippings(text)
+    const titles = books.map(({ title, author }) => `${title}/${author}`).join('|')
+    console.assert(titles === 'Book One/Ann Author|Book Two/Bob Writer|Book (Vol. 2)/Cy Ng', `unexpected books ${titles}`)
+
+    const one = books[0].clippings.map(({ type, text, note, location }) =>
+        [type, text, note, location.start, location.end])
+    const expected = [
+        ['highlight', 'Earlier text', null, 5, 6],
+        ['highlight', 'The first words, extended', 'My note', 10, 13],
+        ['note', 'A lone note', undefined, 300, 300],
+    ]
+    console.assert(JSON.stringify(one) === JSON.stringify(expected), `unexpected ${JSON.stringify(one)}`)
+
+    const [bookmark] = books[1].clippings
+    console.assert(bookmark.type === 'bookmark' && bookmark.text === '' && bookmark.location.start === 80)
+
+    const { location } = books[2].clippings[0]
+    console.assert(location.start === 1170 && location.end === 1172, `unexpected ${JSON.stringify(location)}`)
+}
@@ -0,0 +1,190 @@
+import { parseLuaTable, readKOReaderSidecar } from '../koreader-sidecar.js'
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+{
+    // strings, with every kind of escape
+    for (const [lua, value] of [
+        ['"plain"', 'plain'],
+        ['\'single\'', 'single'],
+        ['"a\\"b\\\\c\\nd\\te"', 'a"b\\c\nd\te'],
+        ['"caf\\195\\169"', 'café'],
+        ['"\\xe2\\x80\\x99s"', '’s'],
+        ['"\\u{1F600}!"', '😀!'],
+        ['"\\65\\066\\0677"', 'ABC7'],
+        ['"one \\z\n      two"', 'one two'],
+        ['"line\\\nbreak"', 'line\nbreak'],
+        ['[[long "string"]]', 'long "string"'],
+        ['[==[\nfirst newline dropped ]] kept]==]', 'first newline dropped ]] kept'],
+    ]) {
+        const result = parseLuaTable(`return ${lua}`)
+        console.assert(result === value, `expected ${JSON.stringify(value)}, got ${JSON.stringify(result)}`)
+    }
+}
+
+{
+    // numbers, booleans, nil and comments
+    const result = parseLuaTable(`-- header comment
+return {
+    -- a line comment
+    ["int"] = 42,
+    ["negative"] = -1.5,
+    ["exponent"] = 2e3,
+    ["hex"] = 0x1F, --[[ a long
+    comment ]]
+    ["yes"] = true,
+    ["no"] = false,
+    ["gone"] = nil,
+    plain_key = "named";
+}`)
+    const expected = { int: 42, negative: -1.5, exponent: 2000, hex: 31, yes: true, no: false, plain_key: 'named' }
+    console.assert(same(result, expected), `unexpected ${JSON.stringify(result)}`)
+}
+
+{
+    // tables keyed 1..n are arrays; sparse or mixed ones are objects
+    for (const [lua, value] of [
+        ['{ "a", "b", "c" }', ['a', 'b', 'c']],
+        ['{ [1] = "a", [2] = "b" }', ['a', 'b']],
+        ['{ [1] = "a", [3] = "c" }', { 1: 'a', 3: 'c' }],
+        ['{ [2] = "b", [1] = "a" }', { 2: 'b', 1: 'a' }],
+        ['{ "a", key = "b" }', { 1: 'a', key: 'b' }],
+        ['{ [12] = { { text = "x" } } }', { 12: [{ text: 'x' }] }],
+        ['{}', []],
+    ]) {
+        const result = parseLuaTable(`return ${lua}`)
+        console.assert(same(result, value), `expected ${JSON.stringify(value)}, got ${JSON.stringify(result)}`)
+    }
+}
+
+{
+    // anything outside the supported subset is an error, not a guess
+    for (const lua of [
+        'return "unfinished',
+        'return { "a" "b" }',
+        'return {} extra',
+        'return os.execute("rm")',
+        'return "\\q"',
+        'x = 1',
+    ]) {
+        let threw = false
+        try {
+            parseLuaTable(lua)
+        } catch {
+            threw = true
+        }
+        console.assert(threw, `expected ${lua} not to parse`)
+    }
+}
+
+{
+    // current layout: highlights and bookmarks share `annotations`
+    const result = readKOReaderSidecar(`-- we can read Lua syntax here!
+return {
+    ["annotations"] = {
+        [1] = {
+            ["chapter"] = "Chapter 1",
+            ["color"] = "yellow",
+            ["datetime"] = "2024-05-01 10:00:00",
+            ["datetime_updated"] = "2024-05-02 11:00:00",
+            ["drawer"] = "lighten",
+            ["note"] = "A note",
+            ["pageno"] = 3,
+            ["pos0"] = "/body/DocFragment[2]/body/p[1]/text().0",
+            ["pos1"] = "/body/DocFragment[2]/body/p[1]/text().9",
+            ["text"] = "Some text",
+        },
+        [2] = {
+            ["chapter"] = "Chapter 2",
+            ["datetime"] = "2024-05-03 12:00:00",
+            ["page"] = "/body/DocFragment[3]/body/p[4]",
+            ["pageno"] = 7,
+            ["text"] = "in chapter 2",
+        },
+    },
+    ["doc_props"] = { ["title"] = "The Title" },
+    ["last_xpointer"] = "/body/DocFragment[3]/body/p[5]/text().12",
+    ["percent_finished"] = 0.25,
+}`)
+    const expected = {
+        highlights: [{
+            pos0: '/body/DocFragment[2]/body/p[1]/text().0',
+            pos1: '/body/DocFragment[2]/body/p[1]/text().9',
+            text: 'Some text',
+            note: 'A note',
+            chapter: 'Chapter 1',
+            drawer: 'lighten',
+            color: 'yellow',
+            datetime: '2024-05-02 11:00:00',
+            pageno: 3,
+        }],
+        bookmarks: [{
+            page: '/body/DocFragment[3]/body/p[4]',
+            text: 'in chapter 2',
+            chapter: 'Chapter 2',
+            datetime: '2024-05-03 12:00:00',
+            pageno: 7,
+        }],
+        lastXPointer: '/body/DocFragment[3]/body/p[5]/text().12',
+        percentFinished: 0.25,
+        title: 'The Title',
+    }
+    console.assert(same(result, expected), `unexpected ${JSON.stringify(result)}`)
+}
+
+{
+    // old layout: highlights keyed by page, notes on their highlighted bookmarks
+    const result = readKOReaderSidecar(`return {
+    ["bookmarks"] = {
+        [1] = {
+            ["datetime"] = "2023-01-01 09:00:00",
+            ["highlighted"] = true,
+            ["notes"] = "highlighted words",
+            ["page"] = "/body/DocFragment[5]/body/p[2]/text().4",
+            ["pos0"] = "/body/DocFragment[5]/body/p[2]/text().4",
+            ["pos1"] = "/body/DocFragment[5]/body/p[2]/text().21",
+            ["text"] = "my note",
+        },
+        [2] = {
+            ["datetime"] = "2023-01-02 09:00:00",
+            ["highlighted"] = true,
+            ["notes"] = "no note here",
+            ["pos0"] = "/body/DocFragment[6]/body/p[1]/text().0",
+            ["pos1"] = "/body/DocFragment[6]/body/p[1]/text().12",
+            ["text"] = "no note here",
+        },
+        [3] = {
+            ["datetime"] = "2023-01-03 09:00:00",
+            ["notes"] = "plain bookmark",
+            ["page"] = "/body/DocFragment[7]/body/p[1]",
+        },
+    },
+    ["highlight"] = {
+        [14] = {
+            [1] = {
+                ["datetime"] = "2023-01-01 09:00:00",
+                ["drawer"] = "underscore",
+                ["pos0"] = "/body/DocFragment[5]/body/p[2]/text().4",
+                ["pos1"] = "/body/DocFragment[5]/body/p[2]/text().21",
+                ["text"] = "highlighted words",
+            },
+        },
+        [20] = {
+            [1] = {
+                ["datetime"] = "2023-01-02 09:00:00",
+                ["drawer"] = "lighten",
+                ["pos0"] = "/body/DocFragment[6]/body/p[1]/text().0",
+                ["pos1"] = "/body/DocFragment[6]/body/p[1]/text().12",
+                ["text"] = "no note here",
+            },
+        },
+    },
+    ["last_xpointer"] = "not an xpointer",
+}`)
+    const notes = result.highlights.map(x => [x.pageno, x.drawer, x.note])
+    const expected = [[14, 'underscore', 'my note'], [20, 'lighten', null]]
+    console.assert(same(notes, expected), `unexpected ${JSON.stringify(notes)}`)
+    console.assert(result.bookmarks.length === 1 && result.bookmarks[0].text === 'plain bookmark',
+        `unexpected ${JSON.stringify(result.bookmarks)}`)
+    console.assert(result.lastXPointer === null && result.percentFinished === null && result.title === null)
+}
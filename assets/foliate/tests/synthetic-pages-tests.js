@@ -0,0 +1,84 @@
+import * as CFI from '../epubcfi.js'
+import { TOCProgress } from '../progress.js'
+import { makeSyntheticPageList } from '../synthetic-pages.js'
+
+const parser = new DOMParser()
+const XHTML = str => parser.parseFromString(str, 'application/xhtml+xml')
+
+const makeDoc = paragraphs => XHTML(`<html xmlns="http://www.w3.org/1999/xhtml">
+<head><title>…</title></head>
+<body>
+    ${paragraphs.map(p => `<p>${p}</p>`).join('\n    ')}
+</body>
+</html>`)
+
+const docs = [
+    makeDoc(['aaaaaaaaaa', 'bbbbbbbbbb', 'cccccccccc']),
+    makeDoc(['short']),
+    makeDoc(['dddddddddd dddddddddd']),
+]
+const book = {
+    sections: [
+        ...docs.slice(0, 2).map(doc => ({ createDocument: () => doc })),
+        { linear: 'no', createDocument: () => makeDoc(['skipped']) },
+        { createDocument: () => docs[2] },
+    ],
+}
+const docOf = index => docs[index === 3 ? 2 : index]
+
+// resolve page CFIs the way View.resolveCFI() does for books without a package document
+const resolve = href => {
+    const parts = CFI.parse(href)
+    const index = CFI.fake.toIndex((parts.parent ?? parts).shift())
+    return { index, anchor: doc => CFI.toRange(doc, parts) }
+}
+
+const pages = await makeSyntheticPageList(book, { charsPerPage: 10 })
+
+{
+    // every section starts a new page, and non-linear sections get none
+    const indices = pages.map(({ href }) => resolve(href).index)
+    const a = JSON.stringify(indices)
+    const b = JSON.stringify([0, 0, 0, 0, 1, 3, 3, 3])
+    console.assert(a === b, `expected ${b}, got ${a}`)
+    const labels = pages.map(({ label }) => label).join()
+    console.assert(labels === '1,2,3,4,5,6,7,8', `unexpected labels ${labels}`)
+}
+
+{
+    // pages point into the document, including the first page of a section
+    for (const { href } of pages) {
+        const { index, anchor } = resolve(href)
+        const range = anchor(docOf(index))
+        console.assert(range.collapsed, `expected ${href} to be collapsed`)
+    }
+}
+
+{
+    // page 1 of a section is found by TOCProgress, as View#onRelocate looks it up
+    const ids = book.sections.map((_, i) => i)
+    const progress = new TOCProgress()
+    await progress.init({
+        toc: pages.map(({ label, href }) => ({ label, href })),
+        ids,
+        splitHref: href => [resolve(href).index, href],
+        getFragment: (doc, fragment) => resolve(fragment).anchor(doc),
+    })
+    const at = (doc, node, offset) => {
+        const range = doc.createRange()
+        range.setStart(node, offset)
+        range.collapse(true)
+        return range
+    }
+    for (const [index, node, offset, label] of [
+        [0, docs[0].body, 0, '1'],
+        [0, docs[0].querySelector('p').firstChild, 5, '1'],
+        [0, docs[0].querySelectorAll('p')[1].firstChild, 5, '2'],
+        [1, docs[1].body, 0, '5'],
+        [1, docs[1].querySelector('p').firstChild, 2, '5'],
+        [3, docs[2].body, 0, '6'],
+    ]) {
+        const item = progress.getProgress(index, at(docOf(index), node, offset))
+        console.assert(item?.label === label, `expected page ${label}, got ${item?.label}`)
+    }
+}
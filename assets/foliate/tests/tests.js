@@ -1 +1,6 @@
 import './epubcfi-tests.js'
+import './xcfi-tests.js'
+import './synthetic-pages-tests.js'
+import './koreader-sidecar-tests.js'
+import './kindle-clippings-tests.js'
+import './text-anchor-tests.js'
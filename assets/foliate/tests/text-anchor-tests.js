@@ -0,0 +1,140 @@
+import { TextAnchor, firstMatchAfter, fuzzyFindInDocument, makeTextQuoteSelector, reanchorSelector } from '../text-anchor.js'
+
+const parser = new DOMParser()
+const makeDoc = paragraphs => parser.parseFromString(`<html xmlns="http://www.w3.org/1999/xhtml">
+<head><title>…</title></head>
+<body>
+    ${paragraphs.map(p => `<p>${p}</p>`).join('\n    ')}
+</body>
+</html>`, 'application/xhtml+xml')
+
+{
+    // passages are found by their text, whatever the punctuation, markup and whitespace
+    const docs = [
+        makeDoc(['“I don’t know,” she said.', 'The <em>quick</em> brown <b>fox</b> jumps over the lazy dog.']),
+        makeDoc(['A line\n        broken   in two, and a line broken in two.', 'I don’t know.']),
+    ]
+    const anchor = new TextAnchor({ sections: docs.map(doc => ({ createDocument: () => doc })) },
+        { getDoc: index => docs[index] })
+    const find = async text => (await anchor.find(text)).map(({ index, range }) => [index, range.toString()])
+    for (const [text, expected] of [
+        ['I don\'t know', [[0, 'I don’t know'], [1, 'I don’t know']]],
+        ['I dont know', [[0, 'I don’t know'], [1, 'I don’t know']]],
+        ['The quick brown fox jumps', [[0, 'The quick brown fox jumps']]],
+        ['a line broken in two', [[1, 'A line\n        broken   in two'], [1, 'a line broken in two']]],
+        ['not in the book', []],
+    ]) {
+        const result = JSON.stringify(await find(text))
+        console.assert(result === JSON.stringify(expected), `${text}: expected ${JSON.stringify(expected)}, got ${result}`)
+    }
+
+    // of several matches, the first one that doesn't come before the previous passage is used,
+    // or the first one if they all do
+    const matches = await anchor.find('a line broken in two')
+    const [before] = await anchor.find('quick brown')
+    const after = (await anchor.find('I don’t know')).at(-1)
+    for (const [previous, expected] of [
+        [null, 0],
+        [before, 0],
+        [matches[0], 0],
+        [matches[1], 1],
+        [after, 0],
+    ]) {
+        const match = firstMatchAfter(matches, previous)
+        console.assert(match === matches[expected], `expected match ${expected}, got ${matches.indexOf(match)}`)
+    }
+}
+
+const passage = 'It was the best of times, it was the worst of times, it was the age of wisdom, '
+    + 'it was the age of foolishness, it was the epoch of belief, it was the epoch of incredulity, '
+    + 'it was the season of Light, it was the season of Darkness.'
+const filler = 'Nothing of note happens in this paragraph, which is only here to take up space.'
+
+// The first edition, and a second one where the passage moved to another section and was edited
+const first = [makeDoc([filler, passage, filler]), makeDoc([filler])]
+const second = [
+    makeDoc([filler]),
+    makeDoc([filler, filler]),
+    makeDoc([filler, passage
+        .replace('worst of times', 'worst of all times')
+        .replace('epoch of belief', 'epoch of faith')
+        .replace('Darkness', 'darkness'), filler]),
+]
+const makeBook = docs => ({ sections: docs.map(doc => ({ createDocument: () => doc })) })
+const getDoc = docs => index => docs[index]
+
+const p = first[0].querySelectorAll('p')[1]
+const range = first[0].createRange()
+range.selectNodeContents(p)
+const selector = makeTextQuoteSelector(range)
+
+{
+    // the selector holds the passage and the text around it
+    console.assert(selector.exact === passage, `unexpected exact ${selector.exact}`)
+    console.assert(selector.prefix.trim().endsWith('take up space.'), `unexpected prefix ${selector.prefix}`)
+    console.assert(selector.suffix.trim().startsWith('Nothing of note'), `unexpected suffix ${selector.suffix}`)
+}
+
+{
+    // an edited passage is found in the document it moved to
+    const match = fuzzyFindInDocument(second[2], selector)
+    const text = match?.range.toString()
+    console.assert(text?.startsWith('It was the best') && text.endsWith('season of darkness.'),
+        `unexpected match ${text}`)
+    console.assert(match.confidence > 0.9 && match.confidence < 1, `unexpected confidence ${match.confidence}`)
+}
+
+{
+    // the book-wide search finds it away from where it used to be
+    const match = await reanchorSelector(makeBook(second), selector, {
+        getDoc: getDoc(second),
+        hint: { index: 0 },
+        nearby: 0,
+    })
+    console.assert(match?.index === 2, `expected section 2, got ${match?.index}`)
+    console.assert(match?.range.startContainer.parentNode === second[2].querySelectorAll('p')[1],
+        'expected the match to start in the second paragraph')
+}
+
+{
+    // text that is gone is not matched to something merely similar
+    const gone = {
+        ...selector,
+        exact: 'A passage about something else entirely, which no edition of this book has ever had in it.',
+    }
+    const match = await reanchorSelector(makeBook(second), gone, { getDoc: getDoc(second) })
+    console.assert(match === null, `expected no match, got ${match?.range.toString()}`)
+}
+
+{
+    // a short quote with no context is too common to be found again by its text
+    for (const exact of ['a', 'It was', 'the age of']) {
+        const match = await reanchorSelector(makeBook(second), { exact }, { getDoc: getDoc(second) })
+        console.assert(match === null, `expected no match for ${exact}, got ${match?.range.toString()}`)
+    }
+    const match = fuzzyFindInDocument(second[2], { exact: 'the age of', prefix: 'of wisdom, it was ' })
+    console.assert(match?.range.toString() === 'the age of', `unexpected match ${match?.range.toString()}`)
+}
+
+{
+    // in a long section whose every paragraph shares the quote's words, the one place it
+    // occurs is still found, however late it comes
+    const quote = 'and the rest of the day was spent in the garden with all the others'
+    const words = quote.split(' ')
+    let seed = 7
+    const shuffled = () => words
+        .map(word => [seed = seed * 16807 % 2147483647, word])
+        .sort(([a], [b]) => a - b)
+        .map(([, word]) => word)
+        .join(' ')
+    const paragraphs = Array.from({ length: 1300 }, shuffled)
+    paragraphs.splice(1200, 0, quote)
+    const doc = makeDoc(paragraphs.map(p => `${p}.`))
+    console.assert(doc.body.textContent.length > 80000 && doc.body.textContent.split(quote).length === 2,
+        'expected the quote once in a long section')
+
+    const match = fuzzyFindInDocument(doc, { exact: quote, prefix: 'the others. ', suffix: '. ' })
+    console.assert(match?.range.toString() === quote, `unexpected match ${match?.range.toString()}`)
+    console.assert(match?.range.startContainer.parentNode === doc.querySelectorAll('p')[1200],
+        'expected the match in the paragraph with the quote')
+}
@@ -0,0 +1,132 @@
+import * as CFI from '../epubcfi.js'
+import { rangeToXPointers, xpointersToRange, resolveXPointer } from '../xcfi.js'
+
+const parser = new DOMParser()
+const XHTML = str => parser.parseFromString(str, 'application/xhtml+xml')
+
+const page = XHTML(`<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <title>…</title>
+</head>
+<body>
+    <div>
+        <p>First paragraph.</p>
+        <p>Some <em>emphasised <strong>and strong</strong> text</em> here.</p>
+        <p>Emoji 😀 before <span>text</span></p>
+    </div>
+    <p><em>a</em> <em>b</em></p>
+</body>
+</html>`)
+
+const [p1, p2, p3] = page.querySelectorAll('div > p')
+const p4 = page.querySelector('body > p')
+const makeRange = (startContainer, startOffset, endContainer, endOffset) => {
+    const range = page.createRange()
+    range.setStart(startContainer, startOffset)
+    range.setEnd(endContainer, endOffset)
+    return range
+}
+
+{
+    // exact text points, with inline elements in the path and code point offsets
+    const em = p2.querySelector('em')
+    const strong = p2.querySelector('strong')
+    const emojiText = p3.firstChild
+    for (const [range, pos0, pos1, text] of [
+        [
+            makeRange(p1.firstChild, 6, p1.firstChild, 15),
+            '/body/DocFragment[3]/body/div/p[1]/text().6',
+            '/body/DocFragment[3]/body/div/p[1]/text().15',
+            'paragraph',
+        ],
+        [
+            makeRange(em.firstChild, 0, strong.firstChild, 10),
+            '/body/DocFragment[3]/body/div/p[2]/em/text()[1].0',
+            '/body/DocFragment[3]/body/div/p[2]/em/strong/text().10',
+            'emphasised and strong',
+        ],
+        [
+            makeRange(strong.firstChild, 4, p2.lastChild, 5),
+            '/body/DocFragment[3]/body/div/p[2]/em/strong/text().4',
+            '/body/DocFragment[3]/body/div/p[2]/text()[2].5',
+            'strong text here',
+        ],
+        [
+            makeRange(emojiText, 9, emojiText, 15),
+            '/body/DocFragment[3]/body/div/p[3]/text().8',
+            '/body/DocFragment[3]/body/div/p[3]/text().14',
+            'before',
+        ],
+        [
+            makeRange(emojiText, 6, emojiText, 8),
+            '/body/DocFragment[3]/body/div/p[3]/text().6',
+            '/body/DocFragment[3]/body/div/p[3]/text().7',
+            '😀',
+        ],
+        [
+            makeRange(p4.firstChild.firstChild, 0, p4.lastChild.firstChild, 1),
+            '/body/DocFragment[3]/body/p/em[1]/text().0',
+            '/body/DocFragment[3]/body/p/em[2]/text().1',
+            'a b',
+        ],
+    ]) {
+        const x = rangeToXPointers(range, 2)
+        console.assert(x.pos0 === pos0, `expected ${pos0}, got ${x.pos0}`)
+        console.assert(x.pos1 === pos1, `expected ${pos1}, got ${x.pos1}`)
+
+        const back = xpointersToRange(page, pos0, pos1)
+        console.assert(back.toString() === text, `expected ${text}, got ${back}`)
+        const a = CFI.fromRange(back)
+        const b = CFI.fromRange(range)
+        console.assert(a === b, `expected ${b}, got ${a}`)
+
+        // KOReader may store the ends in either order
+        const reversed = xpointersToRange(page, pos1, pos0)
+        console.assert(reversed.toString() === text, `expected ${text}, got ${reversed}`)
+    }
+}
+
+{
+    // element boundaries and whitespace CREngine drops move onto the nearest text
+    const div = p1.parentNode
+    const whitespace = p1.nextSibling
+    for (const range of [
+        makeRange(p1.firstChild, 0, div, 2),
+        makeRange(p1.firstChild, 0, whitespace, 3),
+        makeRange(div, 0, p1, 1),
+    ]) {
+        const { pos0, pos1 } = rangeToXPointers(range, 0)
+        const a = `${pos0} ${pos1}`
+        const b = '/body/DocFragment[1]/body/div/p[1]/text().0 /body/DocFragment[1]/body/div/p[1]/text().16'
+        console.assert(a === b, `expected ${b}, got ${a}`)
+    }
+
+    // collapsed ranges keep both ends together
+    const { pos0, pos1 } = rangeToXPointers(makeRange(div, 1, div, 1), 0)
+    console.assert(pos0 === pos1, `expected ${pos0}, got ${pos1}`)
+}
+
+{
+    // element XPointers, with and without a child offset
+    const a = resolveXPointer(page, '/body/DocFragment[3]/body/div/p[2]')
+    console.assert(a.node === p2 && a.offset === 0)
+    const b = resolveXPointer(page, '/body/DocFragment[3]/body/div/p[2].1')
+    console.assert(b.node === p2 && b.offset === 1)
+    const c = resolveXPointer(page, '/body/DocFragment[3]/body/div/p[2]/text()[2].6')
+    console.assert(c.node === p2.lastChild && c.offset === 6)
+
+    for (const xpointer of [
+        '/body/DocFragment[3]/body/div/p[4]/text().0',
+        '/body/DocFragment[3]/body/div/p[1]/text().17',
+        '/body/DocFragment[3]/body/div/p[3]/text()[2].0',
+        '/body/DocFragment[3]/body/div/p[1]/text().x',
+    ]) {
+        let threw = false
+        try {
+            resolveXPointer(page, xpointer)
+        } catch {
+            threw = true
+        }
+        console.assert(threw, `expected ${xpointer} not to resolve`)
+    }
+}
@@ -0,0 +1,484 @@
+/**
+ * Text Anchor Module
+ *
+ * Finds a passage in a book by its text alone, for annotations that come without a usable
+ * position (e.g. Kindle clippings)
+ *
+ * Matching ignores case, diacritics, whitespace and punctuation, so "don’t" finds "don't" and
+ * a passage copied across a line break still matches. Sections are first checked cheaply on
+ * their folded text; only the ones that contain the passage are searched with search.js,
+ * which gives the DOM ranges
+ *
+ * Annotations also keep a text quote selector (their text plus some text on either side), so
+ * when an edition changes under them they can be found again by approximate matching, with a
+ * confidence that weighs the text, the context and the distance from the old position
+ */
+
+import { searchMatcher } from './search.js'
+import { textWalker } from './text-walker.js'
+
+/**
+ * Reduce text to lowercase letters and digits, without diacritics
+ */
+export const foldText = (str) => String(str ?? '')
+    .normalize('NFKD')
+    .replace(/[^\p{L}\p{N}]/gu, '')
+    .toLowerCase()
+
+// Runs of words between punctuation; these are what search.js looks for
+const getWordRuns = (text) => String(text)
+    .split(/[^\p{L}\p{N}\p{M}\s]+/u)
+    .map(run => run.replace(/\s+/g, ' ').trim())
+    .filter(run => foldText(run))
+
+// Words without any punctuation, for when the runs don't match because punctuation inside a
+// word was dropped or added ("dont" for "don’t")
+const getWords = (text) => String(text)
+    .split(/[^\p{L}\p{N}\p{M}]+/u)
+    .filter(word => foldText(word))
+
+/**
+ * Of the places a passage was found, the first one that doesn't come before `previous`,
+ * or the first one if there is none; for passages known to be in reading order
+ * @param {Array} matches - [{ index, range }] in reading order
+ * @param {Object} previous - { index, range } of the passage before, if any
+ */
+export const firstMatchAfter = (matches, previous) => (previous && matches.find(({ index, range }) =>
+    index > previous.index || (index === previous.index
+        && range.compareBoundaryPoints(Range.START_TO_START, previous.range) >= 0)))
+    ?? matches[0]
+
+export class TextAnchor {
+    #sections
+    #getDoc
+    #matcher
+    #wordMatcher
+    #folded = new Map() // section index -> folded text
+
+    /**
+     * @param {Object} book - The open book
+     * @param {Object} options - { getDoc, locale }
+     *   getDoc(index) returns (a promise of) the section's document
+     */
+    constructor(book, { getDoc, locale } = {}) {
+        this.#sections = book.sections
+        this.#getDoc = getDoc
+        this.#matcher = searchMatcher(textWalker, {
+            defaultLocale: locale,
+            matchCase: false,
+            matchDiacritics: false,
+            matchWholeWords: false,
+        })
+        this.#wordMatcher = searchMatcher(textWalker, {
+            defaultLocale: locale,
+            matchCase: false,
+            matchDiacritics: false,
+            matchWholeWords: true,
+        })
+    }
+
+    async #getFolded(index) {
+        if (!this.#folded.has(index)) {
+            const doc = await this.#getDoc(index)
+            this.#folded.set(index, foldText(doc?.body?.textContent ?? doc?.documentElement?.textContent))
+        }
+        return this.#folded.get(index)
+    }
+
+    /**
+     * Find every range in a document whose text folds to the same as `text`
+     * The first and last word runs are searched for and paired up, so the punctuation in
+     * between may differ. If that finds nothing, the first and last words are tried instead,
+     * which also lets punctuation inside the words differ
+     */
+    findInDocument(doc, text) {
+        const key = foldText(text)
+        const runs = getWordRuns(text)
+        if (!key || !runs.length) return []
+        const ranges = this.#pairUp(doc, key, this.#matcher, runs[0], runs.at(-1))
+        if (ranges.length) return ranges
+        const words = getWords(text)
+        if (words.length < 2) return ranges
+        return this.#pairUp(doc, key, this.#wordMatcher, words[0], words.at(-1))
+    }
+
+    #pairUp(doc, key, matcher, first, last) {
+        const starts = Array.from(matcher(doc, first), ({ range }) => range)
+        const ends = last !== first ? Array.from(matcher(doc, last), ({ range }) => range) : starts
+
+        const ranges = []
+        let next = 0 // first end not before the current start; starts are in document order
+        for (const start of starts) {
+            while (next < ends.length && ends[next].compareBoundaryPoints(Range.END_TO_END, start) < 0) next++
+            for (let i = next; i < ends.length; i++) {
+                const end = ends[i]
+                const range = doc.createRange()
+                range.setStart(start.startContainer, start.startOffset)
+                range.setEnd(end.endContainer, end.endOffset)
+                const folded = foldText(range.toString())
+                if (folded === key) {
+                    ranges.push(range)
+                    break
+                }
+                // Ends are in document order; once past the passage, later ones are longer still
+                if (folded.length > key.length) break
+            }
+        }
+        return ranges
+    }
+
+    /**
+     * Find every place a passage occurs in the book
+     * @param {string} text
+     * @param {Object} options - { signal }
+     * @returns {Array} [{ index, range }] in reading order
+     */
+    async find(text, { signal } = {}) {
+        const key = foldText(text)
+        if (!key) return []
+        const results = []
+        for (const [index, section] of this.#sections.entries()) {
+            signal?.throwIfAborted()
+            if (!section.createDocument) continue
+            if (!(await this.#getFolded(index)).includes(key)) continue
+            const doc = await this.#getDoc(index)
+            for (const range of this.findInDocument(doc, text)) results.push({ index, range })
+        }
+        return results
+    }
+}
+
+// ============================================================================
+// Text quote selectors and fuzzy matching
+// ============================================================================
+
+const CONTEXT_LENGTH = 32
+const MAX_ERROR_RATE = 0.25
+const MAX_CANDIDATES = 500
+// Long quotes are matched by their first and last characters only, the middle is compared cheaply
+const MATCHED_LENGTH = 64
+// Without a prefix or suffix, shorter quotes are too common to be found again by their text
+const MIN_BARE_QUOTE_LENGTH = 16
+// How much each part counts toward the confidence of a fuzzy match
+const QUOTE_WEIGHT = 50
+const CONTEXT_WEIGHT = 20
+const POSITION_WEIGHT = 2
+
+const normalizeSpace = (str) => String(str ?? '').replace(/\s+/g, ' ')
+
+/**
+ * Describe a range by its text and the text around it
+ * (https://www.w3.org/TR/annotation-model/#text-quote-selector)
+ * @returns {Object} { type: 'TextQuoteSelector', exact, prefix, suffix }
+ */
+export const makeTextQuoteSelector = (range, contextLength = CONTEXT_LENGTH) => {
+    const doc = range.startContainer.ownerDocument
+    const body = doc.body ?? doc.documentElement
+    const before = doc.createRange()
+    before.setStart(body, 0)
+    before.setEnd(range.startContainer, range.startOffset)
+    const after = doc.createRange()
+    after.setStart(range.endContainer, range.endOffset)
+    after.setEnd(body, body.childNodes.length)
+    return {
+        type: 'TextQuoteSelector',
+        exact: normalizeSpace(range.toString()).trim(),
+        prefix: normalizeSpace(before.toString()).trimStart().slice(-contextLength),
+        suffix: normalizeSpace(after.toString()).trimEnd().slice(0, contextLength),
+    }
+}
+
+/**
+ * Check that a range still holds the text of a selector
+ */
+export const matchesSelector = (range, selector) =>
+    foldText(range.toString()) === foldText(selector?.exact)
+
+const levenshtein = (a, b) => {
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i]
+        for (let j = 1; j <= b.length; j++) {
+            next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+        }
+        row = next
+    }
+    return row[b.length]
+}
+
+const similarity = (a, b) => {
+    const length = Math.max(a.length, b.length)
+    return length ? 1 - levenshtein(a, b) / length : 1
+}
+
+/**
+ * Rough number of edits between two strings, from the character pairs they share
+ * Linear in their length, for the middle of long quotes where levenshtein would be too slow
+ */
+const estimateEdits = (a, b) => {
+    if (a.length < 2 || b.length < 2) return levenshtein(a, b)
+    const pairs = new Map()
+    for (let i = 1; i < a.length; i++) {
+        const pair = a[i - 1] + a[i]
+        pairs.set(pair, (pairs.get(pair) ?? 0) + 1)
+    }
+    let shared = 0
+    for (let i = 1; i < b.length; i++) {
+        const pair = b[i - 1] + b[i]
+        const count = pairs.get(pair)
+        if (!count) continue
+        shared++
+        pairs.set(pair, count - 1)
+    }
+    // An edit breaks at most two pairs
+    const broken = Math.max(a.length, b.length) - 1 - shared
+    return Math.max(Math.abs(a.length - b.length), Math.ceil(broken / 2))
+}
+
+/**
+ * Best approximate occurrence of `pattern` anywhere in `text` (Sellers' algorithm)
+ * @returns {Object} { start, end, errors } or null if it needs more than maxErrors edits
+ */
+const approximateMatch = (text, pattern, maxErrors) => {
+    const m = pattern.length
+    let column = new Int32Array(m + 1)
+    let next = new Int32Array(m + 1)
+
+    // First pass: the end of the best match; a match may start anywhere, so row 0 is free
+    let best = null
+    for (let i = 0; i <= m; i++) column[i] = i
+    for (let j = 1; j <= text.length; j++) {
+        const char = text[j - 1]
+        for (let i = 1; i <= m; i++) {
+            next[i] = Math.min(column[i] + 1, next[i - 1] + 1,
+                column[i - 1] + (pattern[i - 1] === char ? 0 : 1))
+        }
+        [column, next] = [next, column]
+        const errors = column[m]
+        if (errors <= maxErrors && (!best || errors < best.errors)) best = { end: j, errors }
+    }
+    if (!best) return null
+
+    // Second pass, backwards from that end: where the match starts
+    let length = 0
+    for (let i = 0; i <= m; i++) column[i] = i
+    for (let j = 1; j <= best.end; j++) {
+        const char = text[best.end - j]
+        for (let i = 1; i <= m; i++) {
+            next[i] = Math.min(column[i] + 1, next[i - 1] + 1,
+                column[i - 1] + (pattern[m - i] === char ? 0 : 1))
+        }
+        [column, next] = [next, column]
+        if (column[m] === best.errors) {
+            length = j
+            break
+        }
+    }
+    return { start: best.end - length, end: best.end, errors: best.errors }
+}
+
+// approximateMatch() in text[from, to), with offsets in the whole text
+const matchBetween = (text, pattern, from, to, maxErrors) => {
+    from = Math.max(0, from)
+    const match = approximateMatch(text.slice(from, to), pattern, maxErrors)
+    return match && { start: from + match.start, end: from + match.end, errors: match.errors }
+}
+
+/**
+ * Lowercase the text and collapse whitespace, remembering where each character came from
+ */
+const normalizeWithMap = (text) => {
+    let normalized = ''
+    const map = []
+    let space = false
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (/\s/.test(char)) {
+            if (space) continue
+            space = true
+            normalized += ' '
+        } else {
+            space = false
+            const lower = char.toLowerCase()
+            normalized += lower.length === 1 ? lower : char
+        }
+        map.push(i)
+    }
+    return { normalized, map }
+}
+
+/**
+ * Where to look for approximate matches: the places where a piece of the pattern occurs exactly
+ * A match with at most k errors leaves at least one of k + 1 pieces intact
+ * Short pieces of a long text occur all over, so places where more pieces line up come first,
+ * then those nearer the expected offset
+ */
+const findCandidates = (text, pattern, maxErrors, expectedOffset) => {
+    const count = Math.max(1, Math.min(maxErrors + 1, Math.floor(pattern.length / 4)))
+    const size = Math.floor(pattern.length / count)
+    const votes = new Map() // start -> number of pieces that put the pattern there
+    for (let p = 0; p < count; p++) {
+        const piece = pattern.slice(p * size, p * size + size)
+        for (let i = text.indexOf(piece); i > -1; i = text.indexOf(piece, i + 1)) {
+            const start = Math.max(0, i - p * size)
+            votes.set(start, (votes.get(start) ?? 0) + 1)
+        }
+    }
+    // Merge candidates close enough to share a window
+    const candidates = []
+    for (const start of Array.from(votes.keys()).sort((a, b) => a - b)) {
+        const last = candidates.at(-1)
+        if (last && start - last.start <= maxErrors) last.votes += votes.get(start)
+        else candidates.push({ start, votes: votes.get(start) })
+    }
+    const distance = ({ start }) => expectedOffset != null ? Math.abs(start - expectedOffset) : 0
+    return candidates
+        .sort((a, b) => b.votes - a.votes || distance(a) - distance(b))
+        .slice(0, MAX_CANDIDATES)
+        .map(({ start }) => start)
+}
+
+/**
+ * Best approximate match of a selector in normalized text
+ * A quote longer than twice MATCHED_LENGTH is matched by its head, then its tail is looked
+ * for about where it should end, so the cost doesn't grow with the length of the quote
+ */
+const fuzzyFindInText = (text, selector, expectedOffset) => {
+    const pattern = normalizeSpace(selector.exact).trim().toLowerCase()
+    if (!pattern) return null
+    const maxErrors = Math.floor(pattern.length * MAX_ERROR_RATE)
+    const prefix = normalizeSpace(selector.prefix ?? '').toLowerCase()
+    const suffix = normalizeSpace(selector.suffix ?? '').toLowerCase()
+    if (!prefix.trim() && !suffix.trim() && foldText(pattern).length < MIN_BARE_QUOTE_LENGTH) return null
+
+    const long = pattern.length > 2 * MATCHED_LENGTH
+    const head = long ? pattern.slice(0, MATCHED_LENGTH) : pattern
+    const tail = long ? pattern.slice(-MATCHED_LENGTH) : null
+    const middle = long ? pattern.slice(MATCHED_LENGTH, -MATCHED_LENGTH) : null
+    const headErrors = Math.floor(head.length * MAX_ERROR_RATE)
+
+    let best = null
+    for (const candidate of findCandidates(text, head, headErrors, expectedOffset)) {
+        const match = matchBetween(text, head, candidate - headErrors,
+            candidate + head.length + headErrors, headErrors)
+        if (!match) continue
+        const { start } = match
+        let { end, errors } = match
+        if (long) {
+            const tailEnd = start + pattern.length
+            const tailMatch = matchBetween(text, tail, Math.max(end, tailEnd - tail.length - maxErrors),
+                tailEnd + maxErrors, headErrors)
+            if (!tailMatch) continue
+            errors += tailMatch.errors + estimateEdits(middle, text.slice(end, tailMatch.start))
+            end = tailMatch.end
+            if (errors > maxErrors) continue
+        }
+
+        let score = QUOTE_WEIGHT * (1 - errors / pattern.length)
+        let total = QUOTE_WEIGHT
+        if (prefix) {
+            score += CONTEXT_WEIGHT * similarity(prefix, text.slice(Math.max(0, start - prefix.length), start))
+            total += CONTEXT_WEIGHT
+        }
+        if (suffix) {
+            score += CONTEXT_WEIGHT * similarity(suffix, text.slice(end, end + suffix.length))
+            total += CONTEXT_WEIGHT
+        }
+        if (expectedOffset != null) {
+            score += POSITION_WEIGHT * (1 - Math.min(1, Math.abs(start - expectedOffset) / text.length))
+        }
+        total += POSITION_WEIGHT
+
+        const confidence = score / total
+        if (!best || confidence > best.confidence) best = { start, end, confidence }
+    }
+    return best
+}
+
+/**
+ * Character offset of a range's start in its document
+ * Only a hint for ranking matches, so text in scripts and styles is not worth excluding
+ */
+const getTextOffset = (range) => {
+    const doc = range.startContainer.ownerDocument
+    const before = doc.createRange()
+    before.setStart(doc.body ?? doc.documentElement, 0)
+    before.setEnd(range.startContainer, range.startOffset)
+    return before.toString().length
+}
+
+/**
+ * Find the best approximate match of a selector in a document
+ * @param {Document} doc
+ * @param {Object} selector - { exact, prefix, suffix }
+ * @param {number} expectedOffset - character offset the text used to be at, if known
+ * @returns {Object} { range, confidence } or null
+ */
+export const fuzzyFindInDocument = (doc, selector, expectedOffset) => {
+    const func = function* (strs, makeRange) {
+        const joined = strs.join('')
+        const { normalized, map } = normalizeWithMap(joined)
+        const expected = expectedOffset != null
+            ? map.findIndex(i => i >= expectedOffset)
+            : null
+        const match = fuzzyFindInText(normalized, selector, expected >= 0 ? expected : null)
+        if (!match) return
+
+        // Back from normalized offsets to text node offsets
+        const ends = []
+        let sum = 0
+        for (const str of strs) ends.push(sum += str.length)
+        const locate = (offset, isEnd) => {
+            const index = ends.findIndex(end => isEnd ? offset <= end : offset < end)
+            return [index, offset - (ends[index] - strs[index].length)]
+        }
+        const start = locate(map[match.start], false)
+        const end = locate(map[match.end - 1] + 1, true)
+        yield { range: makeRange(...start, ...end), confidence: match.confidence }
+    }
+    for (const result of textWalker(doc, func)) return result
+    return null
+}
+
+/**
+ * Look for a selector's text near where it used to be, then in the whole book
+ * Waits a task between sections, so a book-wide search doesn't block the page
+ * @param {Object} book - The open book
+ * @param {Object} selector - { exact, prefix, suffix }
+ * @param {Object} options - { getDoc, hint, nearby, minConfidence, signal }
+ *   hint: { index, range } where the annotation used to be, if its CFI still resolves to
+ *   something; nearby: how many sections on each side count as near; a match near the hint
+ *   with at least goodConfidence ends the search early
+ * @returns {Object} { index, range, confidence } or null if nothing reaches minConfidence
+ */
+export const reanchorSelector = async (book, selector, options = {}) => {
+    const { getDoc, hint, nearby = 2, minConfidence = 0.6, goodConfidence = 0.9, signal } = options
+    const { sections } = book
+    const near = []
+    if (hint?.index != null) {
+        for (let d = 0; d <= nearby; d++) {
+            for (const index of d ? [hint.index - d, hint.index + d] : [hint.index]) {
+                if (index >= 0 && index < sections.length) near.push(index)
+            }
+        }
+    }
+    const rest = sections.map((_, index) => index).filter(index => !near.includes(index))
+
+    let best = null
+    for (const [pass, indices] of [near, rest].entries()) {
+        for (const index of indices) {
+            signal?.throwIfAborted()
+            if (!sections[index].createDocument || (pass && sections[index].linear === 'no')) continue
+            const doc = await getDoc(index)
+            if (!doc) continue
+            const expected = index === hint?.index && hint.range ? getTextOffset(hint.range) : null
+            const match = fuzzyFindInDocument(doc, selector, expected)
+            if (match && match.confidence >= minConfidence && (!best || match.confidence > best.confidence)) {
+                best = { index, ...match }
+            }
+            await new Promise(resolve => setTimeout(resolve))
+        }
+        if (best && best.confidence >= goodConfidence) break
+    }
+    return best
+}
@@ -192,9 +192,16 @@ class History extends EventTarget {
     get canGoForward() {
         return this.#index < this.#arr.length - 1
     }
+    get backState() {
+        return this.#arr[this.#index - 1]
+    }
+    get forwardState() {
+        return this.#arr[this.#index + 1]
+    }
     clear() {
         this.#arr = []
         this.#index = -1
+        this.dispatchEvent(new Event('index-change'))
     }
 }
 
@@ -247,10 +254,7 @@ export class View extends HTMLElement {
             await this.#tocProgress.init({
                 toc: book.toc ?? [], ids, splitHref, getFragment
             })
-            this.#pageProgress = new TOCProgress()
-            await this.#pageProgress.init({
-                toc: book.pageList ?? [], ids, splitHref, getFragment
-            })
+            await this.setPageList(book.pageList)
         }
 
         this.isFixedLayout = this.book.rendition?.layout === 'pre-paginated'
@@ -279,7 +283,7 @@ export class View extends HTMLElement {
                 this.renderer.goTo(resolved)
                     .then(() => {
                         const { doc } = this.renderer.getContents()
-                            .find(x => x.index = resolved.index)
+                            .find(x => x.index === resolved.index)
                         const el = resolved.anchor(doc)
                         el.classList.add(activeClass)
                         if (playbackActiveClass) el.ownerDocument
@@ -326,6 +330,32 @@ export class View extends HTMLElement {
             await this.next()
         }
     }
+    // replace the page list used for `pageItem`
+    // besides regular hrefs, items can point to CFIs, e.g. pages generated from the text
+    async setPageList(pageList) {
+        const { book } = this
+        if (!book?.splitTOCHref || !book.getTOCFragment) return
+        const ids = book.sections.map(s => s.id)
+        const splitHref = href => CFI.isCFI.test(href)
+            ? [ids[this.resolveCFI(href).index], href]
+            : book.splitTOCHref(href)
+        const getFragment = (doc, fragment) => {
+            if (!CFI.isCFI.test(fragment)) return book.getTOCFragment(doc, fragment)
+            // a CFI that stops at the spine item has no path into the document;
+            // it stands for the start of the section
+            const parts = CFI.parse(fragment)
+            if (!parts.parent && parts.length < 2) {
+                const range = doc.createRange()
+                range.selectNodeContents(doc.body ?? doc.documentElement)
+                range.collapse(true)
+                return range
+            }
+            return this.resolveCFI(fragment).anchor(doc)
+        }
+        const pageProgress = new TOCProgress()
+        await pageProgress.init({ toc: pageList ?? [], ids, splitHref, getFragment })
+        this.#pageProgress = pageProgress
+    }
     #emit(name, detail, cancelable) {
         return this.dispatchEvent(new CustomEvent(name, { detail, cancelable }))
     }
@@ -409,10 +439,11 @@ export class View extends HTMLElement {
     #createOverlayer({ doc, index }) {
         const overlayer = new Overlayer()
         doc.addEventListener('click', e => {
-            const [value, range] = overlayer.hitTest(e)
-            if (value && !value.startsWith(SEARCH_PREFIX)) {
-                this.#emit('show-annotation', { value, index, range })
-            }
+            // everything under the point, innermost first
+            const stack = overlayer.hitTestAll(e)
+                .filter(([value]) => !value.startsWith(SEARCH_PREFIX))
+            const [value, range] = stack[0] ?? []
+            if (value) this.#emit('show-annotation', { value, index, range, stack })
         }, false)
 
         const list = this.#searchResults.get(index)
@@ -7,7 +7,7 @@
  * Provides KOReader sync compatibility by converting between CFI and XPointer formats
  */
 
-import { parse, collapse, toRange, toElement, fake, fromRange } from './epubcfi.js';
+import { parse, collapse, toRange, toElement, fake, fromRange, joinIndir } from './epubcfi.js';
 
 /**
  * Normalize XPointer by removing trailing /text().N segments and .N suffixes
@@ -217,70 +217,6 @@ const handleTextOffset = (element, cfiOffset, spineItemIndex) => {
     return `${basePath}/text().${offsetInNode}`;
 };
 
-/**
- * Handle text offset for a specific text node within an element
- * Calculates cumulative offset across all text nodes to locate position
- */
-const handleTextOffsetInElement = (element, textNode, offset, spineItemIndex) => {
-    // Find all text nodes in the element to calculate cumulative offset
-    const textNodes = [];
-    collectTextNodes(element, textNodes);
-
-    let cumulativeOffset = 0;
-    for (const node of textNodes) {
-        if (node === textNode) {
-            cumulativeOffset += offset;
-            break;
-        }
-        cumulativeOffset += (node.textContent || '').length;
-    }
-
-    return handleTextOffset(element, cumulativeOffset, spineItemIndex);
-};
-
-/**
- * Convert a range point (container + offset) to XPointer
- * Transforms DOM range position into XPointer format for KOReader compatibility
- */
-const rangePointToXPointer = (container, offset, spineItemIndex) => {
-    if (container.nodeType === Node.TEXT_NODE) {
-        // For text nodes, find the containing element
-        const element = container.parentElement || container.ownerDocument.documentElement;
-        return handleTextOffsetInElement(element, container, offset, spineItemIndex);
-    } else if (container.nodeType === Node.ELEMENT_NODE) {
-        const element = container;
-        if (offset === 0) {
-            if (element.childNodes.length > 0) {
-                const firstChild = element.childNodes[0];
-                if (firstChild.nodeType === Node.ELEMENT_NODE) {
-                    return buildXPointerPath(firstChild, spineItemIndex);
-                }
-            }
-            return buildXPointerPath(element, spineItemIndex);
-        } else {
-            // Offset points to a child node
-            const childNodes = Array.from(element.childNodes);
-            const targetChild = childNodes[offset - 1] || childNodes[childNodes.length - 1];
-
-            if (targetChild && targetChild.nodeType === Node.ELEMENT_NODE) {
-                return buildXPointerPath(targetChild, spineItemIndex);
-            } else if (targetChild && targetChild.nodeType === Node.TEXT_NODE) {
-                return handleTextOffsetInElement(
-                    element,
-                    targetChild,
-                    (targetChild.textContent || '').length,
-                    spineItemIndex
-                );
-            } else {
-                return buildXPointerPath(element, spineItemIndex);
-            }
-        }
-    } else {
-        // Fallback to document element
-        return buildXPointerPath(container.ownerDocument.documentElement, spineItemIndex);
-    }
-};
-
 /**
  * Extract spine index from XPath
  * XPath uses 1-based indices, returns 0-based index for internal use
@@ -312,13 +248,8 @@ export const convertCFIToXPointer = async (view, cfi) => {
             spineIndex = fake.toIndex(parts.parent.shift()); // Remove the spine step
             const doc = await view.book.sections[spineIndex].createDocument();
             const range = toRange(doc, parts);
-            const startXPointer = rangePointToXPointer(range.startContainer, range.startOffset, spineIndex);
-            const endXPointer = rangePointToXPointer(range.endContainer, range.endOffset, spineIndex);
-            return {
-                xpointer: startXPointer,
-                pos0: startXPointer,
-                pos1: endXPointer
-            };
+            const { pos0, pos1 } = rangeToXPointers(range, spineIndex);
+            return { xpointer: pos0, pos0, pos1 };
         } else {
             // Collapsed CFI
             const collapsed = collapse(parts);
@@ -487,3 +418,202 @@ export const convertXPathToCFI = async (view, xpointer, logToFlutter = null) =>
 
 
 
+
+// ============================================================================
+// Exact XPointer ranges (KOReader highlights)
+// ============================================================================
+
+// Elements CREngine lays out as blocks; whitespace-only text beside them is dropped when it parses
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hr', 'li', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'tfoot',
+    'th', 'thead', 'tr', 'ul',
+]);
+
+const isInlineNode = (node) => node != null && (node.nodeType === Node.TEXT_NODE
+    || (node.nodeType === Node.ELEMENT_NODE && !BLOCK_ELEMENTS.has(node.localName)));
+
+/**
+ * Check if a text node exists in CREngine's DOM
+ * Whitespace-only text is kept only between two inline nodes, as in "<em>a</em> <em>b</em>"
+ */
+const isXPointerText = (node) => node.nodeType === Node.TEXT_NODE && node.nodeValue.length > 0
+    && (/\S/.test(node.nodeValue)
+        || (isInlineNode(node.previousSibling) && isInlineNode(node.nextSibling)));
+
+// CREngine counts offsets in code points, the DOM in UTF-16 code units
+const toCodePointOffset = (str, offset) => Array.from(str.slice(0, offset)).length;
+const fromCodePointOffset = (str, offset) => {
+    let units = 0;
+    let count = 0;
+    for (const char of str) {
+        if (count === offset) break;
+        units += char.length;
+        count++;
+    }
+    if (count < offset) throw new Error(`Offset ${offset} is past the end of the text`);
+    return units;
+};
+
+const getXPointerBody = (doc) => doc.body ?? doc.getElementsByTagName('body')[0] ?? doc.documentElement;
+
+const getXPointerTexts = (doc) => {
+    const texts = [];
+    const walker = doc.createTreeWalker(getXPointerBody(doc), NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (isXPointerText(node)) texts.push(node);
+    }
+    return texts;
+};
+
+/**
+ * Move a range boundary onto a text node that CREngine has
+ * Start points move forward to the next text, end points back to the end of the previous one,
+ * so a selection that ends at the start of the next paragraph keeps the same text
+ */
+const toTextPoint = (container, offset, isEnd) => {
+    if (container.nodeType === Node.TEXT_NODE) {
+        if (isXPointerText(container)) return { node: container, offset };
+        const index = Array.prototype.indexOf.call(container.parentNode.childNodes, container);
+        return toTextPoint(container.parentNode, isEnd ? index : index + 1, isEnd);
+    }
+    const doc = container.ownerDocument ?? container;
+    const point = doc.createRange();
+    point.setStart(container, offset);
+    const texts = getXPointerTexts(doc);
+    if (isEnd) {
+        for (let i = texts.length - 1; i >= 0; i--) {
+            const node = texts[i];
+            if (point.comparePoint(node, node.nodeValue.length) <= 0) return { node, offset: node.nodeValue.length };
+        }
+    } else {
+        for (const node of texts) {
+            if (point.comparePoint(node, 0) >= 0) return { node, offset: 0 };
+        }
+    }
+    return null;
+};
+
+/**
+ * Build CREngine's path to an element, inline elements included
+ * A step has a 1-based index only when its parent has more than one element of that name
+ */
+const buildElementXPointer = (element, spineIndex) => {
+    const body = getXPointerBody(element.ownerDocument);
+    const steps = [];
+    for (let node = element; node && node !== body; node = node.parentElement) {
+        const siblings = Array.from(node.parentElement?.children ?? [])
+            .filter(sibling => sibling.localName === node.localName);
+        steps.unshift(siblings.length > 1
+            ? `${node.localName}[${siblings.indexOf(node) + 1}]`
+            : node.localName);
+    }
+    return `/body/DocFragment[${spineIndex + 1}]/body${steps.map(step => `/${step}`).join('')}`;
+};
+
+/**
+ * Convert a DOM point to an exact XPointer
+ * e.g. /body/DocFragment[3]/body/div/p[2]/em/text().4
+ */
+const pointToXPointer = (container, offset, spineIndex, isEnd) => {
+    const point = toTextPoint(container, offset, isEnd);
+    if (!point) {
+        const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+        return buildElementXPointer(element, spineIndex);
+    }
+    const { node } = point;
+    const texts = Array.from(node.parentNode.childNodes).filter(isXPointerText);
+    const step = texts.length > 1 ? `text()[${texts.indexOf(node) + 1}]` : 'text()';
+    return `${buildElementXPointer(node.parentElement, spineIndex)}/${step}.${toCodePointOffset(node.nodeValue, point.offset)}`;
+};
+
+/**
+ * Resolve an XPointer in a section document
+ * @returns {Object} { node, offset } with the offset in UTF-16 code units
+ * @throws if a step doesn't exist in the document
+ */
+export const resolveXPointer = (doc, xpointer) => {
+    const offsetMatch = xpointer.match(/\.(\d+)$/);
+    const offset = offsetMatch ? parseInt(offsetMatch[1], 10) : null;
+    const path = offsetMatch ? xpointer.slice(0, offsetMatch.index) : xpointer;
+    const match = path.match(/^\/body\/DocFragment\[\d+\](?:\/body)?((?:\/[^/]+)*)$/);
+    if (!match) throw new Error(`Invalid XPointer: ${xpointer}`);
+    const steps = match[1].split('/').filter(Boolean);
+
+    let node = getXPointerBody(doc);
+    for (const step of steps) {
+        const stepMatch = step.match(/^([\w.-]+|text\(\))(?:\[(\d+)\])?$/);
+        if (!stepMatch) throw new Error(`Invalid XPointer step: ${step}`);
+        const [, name, position] = stepMatch;
+        const candidates = name === 'text()'
+            ? Array.from(node.childNodes).filter(isXPointerText)
+            : Array.from(node.children).filter(child => child.localName.toLowerCase() === name.toLowerCase());
+        const next = candidates[(position ? parseInt(position, 10) : 1) - 1];
+        if (!next) throw new Error(`XPointer step ${step} not found`);
+        node = next;
+    }
+
+    if (node.nodeType === Node.TEXT_NODE) {
+        return { node, offset: fromCodePointOffset(node.nodeValue, offset ?? 0) };
+    }
+    // An element offset counts child nodes
+    return { node, offset: Math.min(offset ?? 0, node.childNodes.length) };
+};
+
+/**
+ * Convert a range in a section document to KOReader pos0/pos1 XPointers
+ * @param {Range} range
+ * @param {number} spineIndex - 0-based spine index of the section
+ * @returns {Object} { pos0, pos1 }
+ */
+export const rangeToXPointers = (range, spineIndex) => ({
+    pos0: pointToXPointer(range.startContainer, range.startOffset, spineIndex, false),
+    pos1: pointToXPointer(range.endContainer, range.endOffset, spineIndex, !range.collapsed),
+});
+
+/**
+ * Convert KOReader pos0/pos1 XPointers to a range in a section document
+ * KOReader may store the two ends in either order; the range always runs forward
+ */
+export const xpointersToRange = (doc, pos0, pos1) => {
+    const start = resolveXPointer(doc, pos0);
+    const end = resolveXPointer(doc, pos1 ?? pos0);
+    const range = doc.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    // Setting an end before the start collapses the range
+    if (range.collapsed && (start.node !== end.node || start.offset !== end.offset)) {
+        range.setStart(end.node, end.offset);
+        range.setEnd(start.node, start.offset);
+    }
+    return range;
+};
+
+/**
+ * Convert a CFI range to KOReader pos0/pos1 XPointers
+ * @returns {Object} { index, range, pos0, pos1, text }
+ */
+export const convertCFIToXPointers = async (view, cfi) => {
+    const { index, anchor } = view.resolveNavigation(cfi) ?? {};
+    const section = view.book.sections[index];
+    if (!section?.createDocument) throw new Error(`No section for CFI: ${cfi}`);
+    const range = anchor(await section.createDocument());
+    if (!range?.startContainer) throw new Error(`CFI does not resolve to a range: ${cfi}`);
+    return { index, range, ...rangeToXPointers(range, index), text: range.toString() };
+};
+
+/**
+ * Convert KOReader pos0/pos1 XPointers to a CFI range, or one XPointer to a CFI point
+ * @param {Function} getDoc - returns (a promise of) a section's document; pass one that
+ *   caches documents when converting many positions
+ * @returns {Object} { index, range, cfi, text }
+ */
+export const convertXPointersToCFI = async (view, pos0, pos1, getDoc = (index) => view.book.sections[index].createDocument()) => {
+    const index = extractSpineIndexFromXPath(pos0);
+    const section = view.book.sections[index];
+    if (!section?.createDocument) throw new Error(`Spine index ${index} out of bounds`);
+    const range = xpointersToRange(await getDoc(index), pos0, pos1);
+    const baseCFI = section.cfi ?? fake.fromIndex(index);
+    return { index, range, cfi: joinIndir(baseCFI, fromRange(range)), text: range.toString() };
+};
@@ -28,6 +28,10 @@ class HighlightModel {
   /// Type of annotation: 'highlight' or 'underline'
   final String type;
 
+  /// Text quote selector ({type, exact, prefix, suffix}) used to find the
+  /// text again if the CFI stops resolving, e.g. after the book is updated
+  final Map<String, dynamic>? selector;
+
   HighlightModel({
     required this.id,
     required this.cfi,
@@ -38,6 +42,7 @@ class HighlightModel {
     this.note = '',
     this.selectedText,
     this.type = 'highlight',
+    this.selector,
   });
 
   /// Check if this is a note (has non-empty note text)
@@ -58,6 +63,7 @@ class HighlightModel {
       'note': note,
       'selectedText': selectedText,
       'type': type,
+      if (selector != null) 'selector': selector,
     };
   }
 
@@ -82,6 +88,9 @@ class HighlightModel {
       note: note,
       selectedText: json['selectedText'] as String?,
       type: json['type'] as String? ?? 'highlight',
+      selector: json['selector'] is Map
+          ? Map<String, dynamic>.from(json['selector'] as Map)
+          : null,
     );
   }
 
@@ -96,6 +105,7 @@ class HighlightModel {
     String? note,
     String? selectedText,
     String? type,
+    Map<String, dynamic>? selector,
   }) {
     return HighlightModel(
       id: id ?? this.id,
@@ -107,6 +117,7 @@ class HighlightModel {
       note: note ?? this.note,
       selectedText: selectedText ?? this.selectedText,
       type: type ?? this.type,
+      selector: selector ?? this.selector,
     );
   }
 }
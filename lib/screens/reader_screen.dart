@@ -214,6 +214,9 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
   _pendingChapters; // Cache chapters until initial position is loaded
   List<HighlightModel>?
   _pendingHighlights; // Highlights to be added when sections load
+  // Text quote selector of the last selection, saved with annotations made from it
+  String? _selectionCfi;
+  Map<String, dynamic>? _selectionSelector;
   final Set<int> _loadedSectionIndices = {}; // Track which sections have loaded
   // Page number tracking for displaying current page and total pages
   Map<String, int>?
@@ -1919,6 +1922,13 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
                         );
                         _handleSectionLoaded(detail);
                       },
+                      onAnnotationReanchored: _handleAnnotationReanchored,
+                      onAnnotationFailed: (detail) {
+                        logger.warning(
+                          _tag,
+                          'Annotation could not be placed (${detail['reason']}): ${detail['value']}',
+                        );
+                      },
                       onTocReceived: (toc) {
                         // Convert TOC from foliate (uses 'label') to EpubChapter (uses 'title')
                         logger.verbose(
@@ -1937,6 +1947,11 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
                           final cfi = detail['cfi']?.toString() ?? '';
                           final chapterIndex = detail['chapterIndex'] as int?;
                           if (text.isEmpty || cfi.isEmpty) return;
+                          final selector = detail['selector'];
+                          _selectionCfi = cfi;
+                          _selectionSelector = selector is Map
+                              ? Map<String, dynamic>.from(selector)
+                              : null;
                           Rect selectionRect = Rect.zero;
                           Rect viewRect = Rect.zero;
 
@@ -2552,6 +2567,7 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
                               note: text, // Fill note text to mark as note
                               selectedText: selectedText,
                               type: 'highlight',
+                              selector: _selectorForCfi(cfi),
                             );
 
                             // Add visual annotation
@@ -2560,6 +2576,7 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
                               type: 'highlight',
                               color: yellowColor,
                               note: selectedText,
+                              selector: newHighlight.selector,
                             );
 
                             // Save to unified storage
@@ -2945,6 +2962,7 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
             type: highlight.type,
             color: color,
             note: highlight.note,
+            selector: highlight.selector,
           );
           addedCount++;
           // Minimal delay between annotations to avoid overwhelming the bridge
@@ -2963,6 +2981,49 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
     });
   }
 
+  /// Text quote selector for a new annotation at [cfi]: the selection's, or
+  /// the one already saved for an annotation there
+  Map<String, dynamic>? _selectorForCfi(String cfi) {
+    if (cfi == _selectionCfi && _selectionSelector != null) {
+      return _selectionSelector;
+    }
+    return _getHighlightForCfi(cfi)?.selector;
+  }
+
+  /// Save the new CFI and selector of annotations that foliate-js found again
+  /// by their text after their CFI stopped resolving
+  Future<void> _handleAnnotationReanchored(Map<String, dynamic> detail) async {
+    final oldValue = detail['oldValue']?.toString();
+    final value = detail['value']?.toString();
+    if (oldValue == null || value == null || _isDisposing) return;
+    final selector = detail['selector'] is Map
+        ? Map<String, dynamic>.from(detail['selector'] as Map)
+        : null;
+    final bookId = int.tryParse(widget.book.id)?.toString();
+    final epubFilePath = widget.book.epubFilePath ?? '';
+    HighlightModel moved(HighlightModel h) =>
+        h.cfi == oldValue ? h.copyWith(cfi: value, selector: selector) : h;
+    try {
+      final highlights = await _highlightsService.loadHighlights(
+        bookId,
+        epubFilePath,
+      );
+      await _highlightsService.saveHighlights(
+        bookId,
+        epubFilePath,
+        highlights.map(moved).toList(),
+      );
+      _pendingHighlights = _pendingHighlights?.map(moved).toList();
+      await _updateHighlightsCache();
+      logger.info(
+        _tag,
+        'Annotation re-anchored with confidence ${detail['confidence']}: $oldValue -> $value',
+      );
+    } catch (e) {
+      logger.error(_tag, 'Error saving re-anchored annotation', e);
+    }
+  }
+
   /// Check if a CFI has an existing highlight and return it
   HighlightModel? _getHighlightForCfi(String cfi) {
     if (_currentHighlights == null) return null;
@@ -3051,6 +3112,7 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
         note: note,
         selectedText: selectedText,
         type: type,
+        selector: _selectorForCfi(cfi),
       );
       await _highlightsService.addHighlight(
         int.tryParse(widget.book.id)?.toString(),
@@ -4774,6 +4836,7 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
                 type: defaultStyle,
                 color: defaultColor,
                 note: selectedText,
+                selector: _selectorForCfi(cfi),
               );
               _saveHighlight(
                 cfi,
@@ -5001,6 +5064,7 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
                                   type: style,
                                   color: color,
                                   note: selectedText,
+                                  selector: _selectorForCfi(cfi),
                                 );
                                 _saveHighlight(
                                   cfi,
@@ -5081,6 +5145,7 @@ class _ReaderScreenState extends ConsumerState<ReaderScreen> {
             type: style,
             color: color,
             note: selectedText,
+            selector: _selectorForCfi(cfi),
           );
           _saveHighlight(cfi, color, opacity, selectedText, type: style);
         }
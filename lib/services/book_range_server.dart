@@ -0,0 +1,145 @@
+import 'dart:async';
+import 'dart:io';
+import 'dart:math';
+
+import 'package:flutter/foundation.dart';
+
+/// Serves book files to the reader WebView over HTTP range requests.
+///
+/// The reader (remote-file.js) asks only for the byte ranges it renders, so a
+/// large comic or PDF is never copied into JS memory as one base64 string.
+/// Each registered file gets an unguessable URL on the loopback interface.
+class BookRangeServer {
+  static final BookRangeServer instance = BookRangeServer._internal();
+  factory BookRangeServer() => instance;
+  BookRangeServer._internal();
+
+  final Map<String, File> _files = {};
+  final Random _random = Random.secure();
+  Future<HttpServer>? _server;
+
+  /// Make [file] readable by the reader and return the URL to open it from
+  Future<Uri> register(File file) async {
+    final server = await _start();
+    final token = List.generate(
+      16,
+      (_) => _random.nextInt(256).toRadixString(16).padLeft(2, '0'),
+    ).join();
+    _files[token] = file;
+    final name = Uri.encodeComponent(file.uri.pathSegments.last);
+    return Uri.parse('http://127.0.0.1:${server.port}/books/$token/$name');
+  }
+
+  /// Stop serving the file behind [url]
+  void unregister(Uri url) {
+    final segments = url.pathSegments;
+    if (segments.length >= 2) _files.remove(segments[1]);
+  }
+
+  Future<HttpServer> _start() {
+    return _server ??= HttpServer.bind(InternetAddress.loopbackIPv4, 0)
+        .then((server) {
+          server.listen(_handle);
+          if (kDebugMode) {
+            debugPrint('[BookRangeServer] listening on port ${server.port}');
+          }
+          return server;
+        })
+        .catchError((Object e) {
+          // Let the next register() try again
+          _server = null;
+          throw e;
+        });
+  }
+
+  Future<void> _handle(HttpRequest request) async {
+    final response = request.response;
+    // The reader page is served from another origin (the assets server)
+    response.headers
+      ..set('Access-Control-Allow-Origin', '*')
+      ..set('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS')
+      ..set('Access-Control-Allow-Headers', 'Range')
+      ..set(
+        'Access-Control-Expose-Headers',
+        'Content-Length, Content-Range, Accept-Ranges',
+      );
+
+    try {
+      if (request.method == 'OPTIONS') {
+        response.statusCode = HttpStatus.noContent;
+        return;
+      }
+      if (request.method != 'GET' && request.method != 'HEAD') {
+        response.statusCode = HttpStatus.methodNotAllowed;
+        return;
+      }
+
+      final segments = request.uri.pathSegments;
+      final file = segments.length >= 2 && segments[0] == 'books'
+          ? _files[segments[1]]
+          : null;
+      if (file == null || !await file.exists()) {
+        response.statusCode = HttpStatus.notFound;
+        return;
+      }
+
+      final length = await file.length();
+      response.headers
+        ..set(HttpHeaders.acceptRangesHeader, 'bytes')
+        ..contentType = ContentType.binary;
+
+      final range = request.headers.value(HttpHeaders.rangeHeader);
+      var start = 0;
+      var end = length - 1;
+      if (range != null) {
+        final bounds = _parseRange(range, length);
+        if (bounds == null) {
+          response.statusCode = HttpStatus.requestedRangeNotSatisfiable;
+          response.headers.set(HttpHeaders.contentRangeHeader, 'bytes */$length');
+          return;
+        }
+        (start, end) = bounds;
+        response.statusCode = HttpStatus.partialContent;
+        response.headers.set(
+          HttpHeaders.contentRangeHeader,
+          'bytes $start-$end/$length',
+        );
+      }
+      response.contentLength = length == 0 ? 0 : end - start + 1;
+      if (request.method == 'GET' && length > 0) {
+        await response.addStream(file.openRead(start, end + 1));
+      }
+    } catch (e) {
+      if (kDebugMode) {
+        debugPrint('[BookRangeServer] error serving ${request.uri}: $e');
+      }
+      try {
+        response.statusCode = HttpStatus.internalServerError;
+      } catch (_) {
+        // Headers were already sent; closing ends the truncated response
+      }
+    } finally {
+      await response.close();
+    }
+  }
+
+  /// Parse a single `bytes=start-end`, `bytes=start-` or `bytes=-suffix` range
+  /// Returns inclusive bounds, or null when the range can't be satisfied
+  (int, int)? _parseRange(String header, int length) {
+    final match = RegExp(r'^bytes=(\d*)-(\d*)$').firstMatch(header.trim());
+    if (match == null || length == 0) return null;
+    final first = match.group(1)!;
+    final last = match.group(2)!;
+    if (first.isEmpty) {
+      if (last.isEmpty) return null;
+      final suffix = int.parse(last);
+      if (suffix == 0) return null;
+      return (max(0, length - suffix), length - 1);
+    }
+    final start = int.parse(first);
+    if (start >= length) return null;
+    final end = last.isEmpty ? length - 1 : min(int.parse(last), length - 1);
+    if (end < start) return null;
+    return (start, end);
+  }
+}
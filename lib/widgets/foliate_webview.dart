@@ -6,6 +6,7 @@ import 'package:flutter/material.dart';
 import 'package:flutter_inappwebview/flutter_inappwebview.dart';
 
 import '../services/book_import_service.dart';
+import '../services/book_range_server.dart';
 
 typedef FoliateSelectionCallback = void Function(Map<String, dynamic> detail);
 
@@ -19,6 +20,8 @@ typedef FoliateShowAnnotationEventCallback =
     void Function(Map<String, dynamic> detail);
 typedef FoliateTouchEventCallback =
     void Function(Map<String, dynamic> touchData);
+typedef FoliateAnnotationAnchorCallback =
+    void Function(Map<String, dynamic> detail);
 
 class FoliateReaderController {
   InAppWebViewController? _webViewController;
@@ -29,8 +32,14 @@ class FoliateReaderController {
 
   bool get isAttached => _webViewController != null;
 
+  /// Open a book either from [url], which the reader reads lazily through
+  /// HTTP range requests (see BookRangeServer), or from its [bytes]
   Future<void> openBook({
-    required List<int> bytes,
+    List<int>? bytes,
+    Uri? url,
+    int? size,
+    String? fileName,
+    String? mimeType,
     Map<String, dynamic>? initialLocation,
     String flow = 'paginated',
     Color? backgroundColor,
@@ -40,12 +49,15 @@ class FoliateReaderController {
     final controller = _webViewController;
     if (controller == null) return;
 
+    if (url == null && bytes == null) {
+      throw ArgumentError('openBook needs either bytes or url');
+    }
     if (kDebugMode) {
-      debugPrint('[Foliate] openBook: bytes.length=${bytes.length}');
+      debugPrint(
+        '[Foliate] openBook: ${url != null ? 'url=$url, size=$size' : 'bytes.length=${bytes!.length}'}',
+      );
     }
 
-    // Encode to base64 (synchronous but fast for typical EPUB sizes)
-    final base64Data = base64Encode(bytes);
     final theme = <String, dynamic>{};
     if (backgroundColor != null) {
       theme['backgroundColor'] = _colorToCss(backgroundColor);
@@ -58,7 +70,10 @@ class FoliateReaderController {
     }
 
     final options = <String, dynamic>{
-      'bytesBase64': base64Data,
+      if (url != null) 'url': url.toString() else 'bytesBase64': base64Encode(bytes!),
+      if (url != null && size != null) 'size': size,
+      if (fileName != null) 'fileName': fileName,
+      if (mimeType != null) 'mimeType': mimeType,
       'flow': flow,
       if (initialLocation != null) 'initialLocation': initialLocation,
       if (theme.isNotEmpty) 'theme': theme,
@@ -194,6 +209,7 @@ class FoliateReaderController {
     required String type,
     Color? color,
     String? note,
+    Map<String, dynamic>? selector,
   }) async {
     final controller = _webViewController;
     if (controller == null) return;
@@ -203,6 +219,8 @@ class FoliateReaderController {
       'value': value,
       if (color != null) 'color': _colorToCss(color),
       if (note != null) 'note': note,
+      // Lets foliate-js find the text again if the CFI no longer resolves
+      if (selector != null) 'selector': selector,
     };
     final jsonAnnotation = jsonEncode(annotation);
     await controller.evaluateJavascript(
@@ -246,6 +264,8 @@ class FoliateWebView extends StatefulWidget {
     this.onSectionLoaded,
     this.onTocReceived,
     this.onTouchEvent,
+    this.onAnnotationReanchored,
+    this.onAnnotationFailed,
     this.initialLocation,
     this.backgroundColor,
     this.textColor,
@@ -265,6 +285,13 @@ class FoliateWebView extends StatefulWidget {
   final void Function(Map<String, dynamic>)? onSectionLoaded;
   final FoliateTouchEventCallback? onTouchEvent;
   final void Function(List<Map<String, dynamic>>)? onTocReceived;
+
+  /// An annotation was found again under a new CFI:
+  /// { oldValue, value, selector, confidence, index, text }
+  final FoliateAnnotationAnchorCallback? onAnnotationReanchored;
+
+  /// An annotation could not be placed in the book: { value, index, reason }
+  final FoliateAnnotationAnchorCallback? onAnnotationFailed;
   final Map<String, dynamic>? initialLocation;
   final Color? backgroundColor;
   final Color? textColor;
@@ -293,6 +320,7 @@ class _FoliateWebViewState extends State<FoliateWebView> {
   bool _bridgeReady = false;
   bool _hasOpenedBook = false;
   InAppWebViewController? _webViewController;
+  Uri? _bookUrl; // Where BookRangeServer serves the open book from
 
   /// Initialize the localhost server early (call from app startup)
   /// This ensures the server is ready before the user opens a book
@@ -374,6 +402,12 @@ class _FoliateWebViewState extends State<FoliateWebView> {
     _serverStartFuture ??= _initializeServer();
   }
 
+  @override
+  void dispose() {
+    if (_bookUrl != null) BookRangeServer.instance.unregister(_bookUrl!);
+    super.dispose();
+  }
+
   @override
   void didUpdateWidget(FoliateWebView oldWidget) {
     super.didUpdateWidget(oldWidget);
@@ -716,6 +750,40 @@ class _FoliateWebViewState extends State<FoliateWebView> {
             },
           );
 
+          controller.addJavaScriptHandler(
+            handlerName: 'annotationReanchored',
+            callback: (data) {
+              try {
+                final item = data is List && data.isNotEmpty
+                    ? data.first
+                    : data;
+                if (item is Map) {
+                  widget.onAnnotationReanchored?.call(
+                    Map<String, dynamic>.from(item),
+                  );
+                }
+              } catch (_) {}
+              return null;
+            },
+          );
+
+          controller.addJavaScriptHandler(
+            handlerName: 'annotationFailed',
+            callback: (data) {
+              try {
+                final item = data is List && data.isNotEmpty
+                    ? data.first
+                    : data;
+                if (item is Map) {
+                  widget.onAnnotationFailed?.call(
+                    Map<String, dynamic>.from(item),
+                  );
+                }
+              } catch (_) {}
+              return null;
+            },
+          );
+
           controller.addJavaScriptHandler(
             handlerName: 'showAnnotation',
             callback: (data) {
@@ -1180,14 +1248,31 @@ class _FoliateWebViewState extends State<FoliateWebView> {
         return;
       }
 
-      final bytes = await file.readAsBytes();
-      debugPrint('[Foliate] _openBookFromFile: read ${bytes.length} bytes');
+      // Serve the book over range requests so the reader only pulls in what it renders;
+      // fall back to sending the whole file if the local server can't start
+      List<int>? bytes;
+      Uri? url;
+      try {
+        url = await BookRangeServer.instance.register(file);
+        if (_bookUrl != null) BookRangeServer.instance.unregister(_bookUrl!);
+        _bookUrl = url;
+        debugPrint('[Foliate] _openBookFromFile: serving book at $url');
+      } catch (e) {
+        debugPrint(
+          '[Foliate] _openBookFromFile: range server unavailable ($e), sending bytes',
+        );
+        bytes = await file.readAsBytes();
+        debugPrint('[Foliate] _openBookFromFile: read ${bytes.length} bytes');
+      }
 
       // Get theme from widget if available, otherwise use defaults
       // The theme will be applied immediately when opening the book
       debugPrint('[Foliate] _openBookFromFile: calling controller.openBook()');
       await widget.controller.openBook(
         bytes: bytes,
+        url: url,
+        size: url != null ? await file.length() : null,
+        fileName: resolvedPath.split('/').last,
         initialLocation: widget.initialLocation,
         backgroundColor: widget.backgroundColor,
         textColor: widget.textColor,